@@ -63,7 +63,9 @@ def suppress(type, subtype):
                     corresponding to the phase of execution feedback that will
                     be suppressed.
         subtype (str): A specific type of exception (if 'student') or
-                       specific type of issue (if 'analyzer'). Available issues:
+                       specific type of issue (if 'analyzer'), which can also
+                       be given by its code (e.g., 'undefined_variable').
+                       Available issues:
                         - 'Unconnected blocks'
                         - 'Iteration variable is iteration list'
                         - "Undefined variables"
@@ -73,6 +75,10 @@ def suppress(type, subtype):
                         - "Empty iterations"
                         - "Non-list iterations"
                         - "Incompatible types"
+                        - "Attribute used before assignment"
+                        - "Method called with wrong arity"
+                        - "Incompatible argument type"
+                        - "Module not found"
     '''
     
 def run_student():
@@ -127,6 +133,100 @@ def reset_output():
     typically used between executions of the `run_student` function.
     '''
     
+def run_unit_tests(name, *cases, **options):
+    '''
+    Runs the students' function on each of the test cases, and shows the
+    results to the student as a table (unless the grade is secret). The
+    fraction of the cases that pass is given as partial credit.
+    Every case gets its own time limit, and any output or exception from the
+    function is captured instead of stopping your checks.
+    
+    Args:
+        name (str): The name of the students' function.
+        cases: Each case is either a tuple of the arguments followed by the
+               expected return value (optionally as a tuple of the value and
+               a tip to show when it fails), or a dict with the keys:
+                - "arguments" (list): The arguments to pass in.
+                - "expected": The expected return value (if any).
+                - "output" (list of str): The lines it should print (if any).
+                - "error" (str): The name of the exception it should raise.
+                - "tip" (str): HTML to show if the case fails.
+        timeout (float): How many seconds each case can run. Defaults to 1.
+        tolerance (float): How close floats have to be. Defaults to 0.001.
+    
+    Returns:
+        list of dict: The result of each case, with the keys "case", "returned",
+                      "output", "error" (the exception raised, or None),
+                      "timed_out" (bool), and "passed" (bool).
+    '''
+    
+def get_random_seed():
+    '''
+    Returns the seed that the random module was given for the students' last
+    run. This is the assignment's seed, if it has one; otherwise, every run
+    gets a new seed (which is also logged, so that runs can be reproduced).
+    
+    Returns:
+        int: The seed, or None if the students' code hasn't been run.
+    '''
+
+def reseed_random(seed=None):
+    '''
+    Reseeds the random module. By default, it is given the same seed as the
+    students' last run, so that calling run_student() afterwards will produce
+    the same random numbers (and hopefully the same output) again.
+    
+    Args:
+        seed (int): The seed to use instead.
+    '''
+    
+def get_written_files():
+    '''
+    Returns the files that the students' code has written (with `open` in "w"
+    or "a" mode) during their session. Files written while running
+    `run_student` are not included, so they cannot be changed by your checks.
+    
+    Returns:
+        dict: Maps each filename (str) to its current contents (str).
+    '''
+    
+def get_trace():
+    '''
+    Returns every step of the students' last run, even if it failed partway.
+    Each step is recorded just before its line runs, so a change seen at one
+    step was made by the line of the step before it. The final step has the
+    line -1, and holds the variables after the program finished.
+    Variables are dictionaries with their "type" (e.g., "List"), "value" (as
+    a string, which is abbreviated for long lists and strings) and "length"
+    (for lists, tuples, and strings; otherwise None).
+    The instructor_trace module has helpers for querying the trace, such as
+    `variable_history(name, function=None)`, `lines_where_changed(name)`,
+    `changed_between_lines(name, first, last)`, and
+    `value_before_print(name)`.
+    
+    Returns:
+        list of dict: Each step, with the keys:
+            - "step" (int), "line" (int), and "column" (int)
+            - "variables" (dict): Maps the global variables' names to their
+                                  values.
+            - "stack" (list of dict): Each function call, outermost first,
+                                      with its "name", the "line" it was
+                                      called from, and its "arguments" and
+                                      "locals" (both like "variables").
+            - "returned" (dict): The "name" of the function that returned on
+                                 the previous step and its "value", or None.
+    '''
+
+def get_printed():
+    '''
+    Returns everything that the students' last run printed, along with where
+    it was printed.
+    
+    Returns:
+        list of dict: Each print, with its "step", "line", and "output" (the
+                      string, or None for plots).
+    '''
+    
 def log(message):
     '''
     Print the given message to the JS console in the browser. This is useful
@@ -168,6 +268,47 @@ def log_issues():
     in the browser. This is useful for debugging purposes.
     '''
 
+class Sandbox():
+    '''
+    Calls the students' functions in isolation (importable from
+    pedal.sandbox.sandbox). Every call runs a fresh copy of the students' code,
+    so calls cannot affect each other or the students' own run. Printing
+    during the call is captured instead of shown, and input() only reads from
+    the queued input.
+    
+        sandbox = Sandbox(time_limit=2)
+        sandbox.mock("random.randint", lambda low, high: low)
+        sandbox.queue_input("Ada")
+        greeting = sandbox.call("greet", 3)
+        if sandbox.output != ["Hello Ada"]: ...
+    
+    Args:
+        time_limit (float): How many seconds each call can run. Defaults to 1.
+    
+    Attributes:
+        output (list of str): The lines printed during the last call.
+        exception (Exception): The exception raised by the last call, or None.
+        timed_out (bool): Whether the last call ran out of time.
+    '''
+    def mock(self, name, replacement):
+        '''
+        Replaces a builtin (e.g., "input", "print", or "open") or a module's
+        function (e.g., "random.randint") during every later call.
+        '''
+    def unmock(self, name):
+        '''
+        Stops replacing the builtin or function.
+        '''
+    def queue_input(self, *lines):
+        '''
+        Queues lines to be returned by input() during the next call.
+        '''
+    def call(self, name, *args):
+        '''
+        Calls the students' function with the arguments, and returns whatever
+        it returned (or None if it raised an exception or ran out of time).
+        '''
+
 class StudentData():
     '''
     A class that wraps a dictionary of data created after the execution of
@@ -241,6 +382,30 @@ def get_program():
         String: The string representation of the student code.
     '''
     
+def get_blocks():
+    '''
+    Returns the blocks in the students' workspace, as they were when the
+    students' code was run. This is most useful in Blocks mode, to check how
+    the students built their program. The instructor_blocks module wraps these
+    as Block objects (with `parse_blocks()`, `find_blocks(type=None)`,
+    `count_blocks(type=None)`, and `orphan_blocks()`), where every Block also
+    knows its `parent` and can `find_all(type=None)` of its descendants.
+    
+    Returns:
+        list of dict: The blocks at the top level of the workspace. Stacks of
+                      statements are flattened, so a block that follows
+                      another one is its sibling. Each block has:
+            - "id" (str) and "type" (str, e.g. "lists_append")
+            - "fields" (dict): Maps the names of its fields to their values.
+            - "input" (str): The input of its parent that it is plugged
+                             into, or None.
+            - "x" and "y" (int): Where it is, for blocks at the top of a stack.
+            - "line" (int): The line of code it became, or None.
+            - "orphan" (bool): Whether it is an expression that isn't plugged
+                               into anything.
+            - "children" (list of dict): The blocks inside of it.
+    '''
+    
 
 def def_use_error(node):
     '''
@@ -1,6 +1,10 @@
+import shutil
+
 nodejs_in = [
          "src/front.js",
          "src/utilities.js",
+         "src/type_stubs.js",
+         "src/analyzer_issues.js",
          "src/python_errors.js",
          "src/ast_node_visitor.js",
          "src/abstract_interpreter.js",
@@ -11,11 +15,14 @@ nodejs_in = [
          "src/sk_mod_instructor.js",
          "src/feedback.js",
          "src/printer.js",
+         "src/engine_trace.js",
          "src/engine.js",
             ]
 
 js_in = ["src/front.js",
          "src/utilities.js",
+         "src/type_stubs.js",
+         "src/analyzer_issues.js",
          #"src/python_errors.js",
          #"src/ast_node_visitor.js",
          #"src/abstract_interpreter.js",
@@ -23,7 +30,7 @@ js_in = ["src/front.js",
          #"src/abstract_interpreter_definitions.js",
          "src/python_to_blockly.js",
          "src/treeMatching.js",
-         #"src/sk_mod_instructor_extended.js",
+         "src/sk_mod_instructor_extended.js",
          "src/sk_mod_instructor.js",
          "src/imported.js",
          "src/blockly_blocks/class.js",
@@ -52,6 +59,7 @@ js_in = ["src/front.js",
          "src/english.js",
          "src/feedback.js",
          "src/toolbar.js",
+         "src/engine_trace.js",
          "src/engine.js",
          "src/main.js"]
 css_in = ['src/blockpy.css']
@@ -68,4 +76,8 @@ for files_in, file_out in [ (js_in, js_out), (css_in, css_out), (nodejs_in, node
             with open(fname) as infile:
                 for line in infile:
                     outfile.write(line)
-                outfile.write("\n")
\ No newline at end of file
+                outfile.write("\n")
+
+# The Web Worker has to be loaded as its own file, along with what it imports
+shutil.copy('src/engine_worker.js', 'dist/engine_worker.js')
+shutil.copy('src/engine_trace.js', 'dist/engine_trace.js')
\ No newline at end of file
@@ -476,8 +476,9 @@ AbstractInterpreter.prototype.walkAttributeChain = function(attribute) {
         }
     } else if (attribute._astname == "Name") {
         var functionName = attribute.id.v;
-        if (functionName in AbstractInterpreter.MODULES) {
-            return AbstractInterpreter.MODULES[attribute.id.v];
+        var module = AbstractInterpreter.loadModule(functionName);
+        if (module !== undefined) {
+            return module;
         } else if (functionName in this.BUILTINS) {
             return this.BUILTINS[functionName].returns;
         } else {
@@ -610,7 +611,7 @@ AbstractInterpreter.prototype.visit_ImportFrom = function(node) {
             var moduleName = node.module.v;
             var alias = node.names[i];
             var asname = alias.asname === null ? alias.name : alias.asname;
-            var type = AbstractInterpreter.MODULES[moduleName];
+            var type = AbstractInterpreter.loadModule(moduleName);
             this.setVariable(asname.v, type, this.getLocation(node));
         }
     }
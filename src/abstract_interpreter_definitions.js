@@ -172,52 +172,71 @@ AbstractInterpreter.METHODS = {
         }
     }
 }
-AbstractInterpreter.MODULES = {
-    'random': {
-        'randint': { "type": "Function", "returns": {"type": "Num"}},
-        'choice': { "type": "Function", "returns": {"type": "Any"}},
-        'shuffle': { "type": "Function", "returns": {"type": "None"}},
-    },
-    'parking': {
-        'now': { 'type': 'ParkingTime'},
-        'Time': { 'type': 'ParkingTime'},
-        'Day': { 'type': 'ParkingDay'},
-        'today': { 'type': 'ParkingDay'}
-    },
-    'weather': {
-        'get_temperature': {"type": 'Num'},
-        'get_forecasts': {"type": "List", "empty": false, "component": {"type": 'Num'}},
-        'get_report': {"type": "Dict", "all_strings": true,
-                       "keys": {"temperature": {"type": 'Num'}, 
-                                "humidity": {"type": "Num"},
-                       "wind": {"type": "Num"}}},
-        'get_forecasted_reports': [{"temperature": 'Num', "humidity": "Num", "wind": "Num"}],
-        'get_all_forecasted_temperatures': [{'city': 'str', 'forecasts': ['int']}],
-        'get_highs_lows': {'highs': ['Num'], 'lows': ['Num']}
-    },
-    'image': {
-        
-    },
-    'stocks': {
-        'get_current': 'float',
-        'get_past': ['float'],
-    },
-    'earthquakes': {
-        'get': ['float'],
-        'get_both': [{'magnitude': 'float', 'depth': 'float'}],
-        'get_all': [{'magnitude': 'float', 'distance': 'float', 'gap': 'int', 
-                        'id': 'str', 'significance': 'int', 'time': 'int',
-                        'location': {'depth': 'float', 'latitude': 'float', 'longitude': 'float',
-                                     'location_description': 'str'}}]
-    },
-    'crime': {
-        'get_property_crimes': ['float'],
-        'get_violent_crimes': ['float'],
-        'get_both_crimes': ['float'],
-        'get_by_year': [{'state': 'str', 'violent': 'float', 'property': 'float', 'population': 'int'}],
-        'get_all': {}
-    },
-    'books': {
-        'get_all': [{'title': 'str', 'author': 'str', 'price': 'float', 'paperback': 'bool', 'page count': 'int'}]
+/**
+ * Converts a type from a (normalized) type stub into the kind of type used
+ * by the AbstractInterpreter.
+ */
+AbstractInterpreter.typeFromStub = function(stub) {
+    switch (stub.type) {
+        case "int": case "float": return {"type": "Num"};
+        case "str": return {"type": "Str"};
+        case "bool": return {"type": "Bool"};
+        case "None": return {"type": "None"};
+        case "file": return {"type": "File"};
+        case "any": return {"type": "Any"};
+        case "list":
+            return {"type": "List", "empty": false, "subtype": AbstractInterpreter.typeFromStub(stub.of)};
+        case "set":
+            return {"type": "Set", "empty": false, "subtype": AbstractInterpreter.typeFromStub(stub.of)};
+        case "tuple":
+            return {"type": "Tuple", "subtypes": stub.of.map(AbstractInterpreter.typeFromStub)};
+        case "dict":
+            return {"type": "Dict", "literals": false,
+                    "key": AbstractInterpreter.typeFromStub(stub.keys),
+                    "value": AbstractInterpreter.typeFromStub(stub.values)};
+        case "record":
+            var components = {};
+            for (var key in stub.fields) {
+                components[key] = {"key": {"type": "Str"},
+                                   "value": AbstractInterpreter.typeFromStub(stub.fields[key])};
+            }
+            return {"type": "Dict", "literals": true, "subtypes": components};
+        case "function":
+            var functionType = {"type": "Function",
+                                "returns": AbstractInterpreter.typeFromStub(stub.returns)};
+            if (stub.parameters !== null) {
+                functionType.parameters = stub.parameters.map(function(parameter) {
+                    var parameterType = AbstractInterpreter.typeFromStub(parameter.type);
+                    parameterType.name = parameter.name;
+                    parameterType.optional = parameter.optional;
+                    return parameterType;
+                });
+            }
+            return functionType;
+        default:
+            return {"type": stub.type};
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Gets the fields of a module, where calling a function gives back its
+ * return type.
+ *
+ * @param {String} name - The name of the module.
+ * @returns {Object} The fields' types, or undefined if there is no module.
+ */
+AbstractInterpreter.loadModule = function(name) {
+    var stub = TypeStubs.MODULES[name];
+    if (stub === undefined) {
+        return undefined;
+    }
+    var fields = {};
+    for (var field in stub.fields) {
+        var fieldType = stub.fields[field];
+        if (fieldType.type == "function") {
+            fieldType = fieldType.returns;
+        }
+        fields[field] = AbstractInterpreter.typeFromStub(fieldType);
+    }
+    return fields;
+}
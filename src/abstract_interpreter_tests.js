@@ -12,12 +12,31 @@
 
     var filename = '__main__.py';
     
+    /*
+        Each test is the code, the issues it should not have, and the issues
+        it should have. Optionally, a fourth entry gives details that one of
+        the issues of a kind should have, e.g. {'Undefined variables': {'cause': 'loop'}}.
+        Nested objects only need to match on the keys they give.
+    */
     var unit_tests = [
         // Mutable Types
         ['def t():\n    x = []\n    x.append(1)\n    return x\nfor x in t():\n    x + 1', ['Incompatible types'], []],
         // Importing
         ['import matplotlib.pyplot as plt\nplt.hist([1,2,3])\nplt.show()', ['Undefined variables'], []],
         ['from random import randint\na=randint(1,2)\n1+a', ['Undefined variables', 'Incompatible types'], []],
+        ['import weather\nreport = weather.get_report("Blacksburg")\nprint(report["temperature"] + 5)', ['Incompatible types', 'Module not found'], []],
+        ['import weather\nreport = weather.get_report("Blacksburg")\nprint(report["temperature"] + "F")', [], ['Incompatible types']],
+        ['import math\nprint(math.sqrt(4) + math.pi)', ['Incompatible types', 'Module not found'], []],
+        ['import stocks\nfor price in stocks.get_past("FB"):\n    print(price + "!")', [], ['Incompatible types']],
+        ['import stocks\nprint(stocks.get_current("FB") + 1)', ['Incorrect Arity', 'Incompatible argument type'], []],
+        ['import stocks\nprint(stocks.get_current(ticker="FB") + 1)', ['Incorrect Arity', 'Incompatible argument type'], []],
+        ['import stocks\nstocks.get_current(5)', ['Incorrect Arity'], ['Incompatible argument type'],
+         {'Incompatible argument type': {'name': 'stocks.get_current', 'parameter': 'ticker', 'expected': {'name': 'Str'}}}],
+        ['import stocks\nstocks.get_current()', ['Incompatible argument type'], ['Incorrect Arity'],
+         {'Incorrect Arity': {'name': 'stocks.get_current', 'given': 0, 'minimum': 1}}],
+        ['from stocks import get_past\nget_past("FB", 2)', [], ['Incorrect Arity']],
+        ['import weather\nweather.get_report(5)', ['Incorrect Arity', 'Incompatible argument type'], []],
+        ['import matplotlib.pyplot as plt\nimport matplotlib.boxplot', [], ['Submodule not found']],
         ["import state_demographics\n\n\nincome_list = state_demographics.get(\"Per Capita Income\",\"(None)\",'')\nfilter_income = []\nfor income in income_list:\n    if income > 28000:\n        income_list.append(filter_income)\nprint(filter_income)\n", [], []],
         ["import state_demographics\n\n\nincome_list = state_demographics.get(\"Per Capita Income\",\"(None)\",'')\nnew_income_list = 0\nfor income in income_list:\n    if income > 28000:\n        new_income_list = new_income_list + 1\nprint(new_income_list)\n", [], []],
         ['l = []\nfor x in l:\n    if x > 0:\n        x', [], []],
@@ -148,6 +167,19 @@
         ['def add_first(a_list):\n    for element in a_list:\n        return element + 5\nprint(add_first(["1"]))', [], ['Incompatible types']],
         ['def add_first(a_list):\n    for element in a_list:\n        return element + 5\nprint(add_first(1))', [], ['Incompatible types']],
         ['def add_first(a_list):\n    for element in a_list:\n        return element + 5\nprint(add_first("1"))', [], ['Incompatible types']],
+        
+        // Argument types
+        ['def double(x):\n    return x * 2\ndouble(4)\ndouble(5)', ['Incompatible argument type'], []],
+        ['def double(x):\n    return x * 2 + 1\ndouble(4)\ndouble("a")', [], ['Incompatible argument type']],
+        ['def average(nums):\n    total = 0\n    for n in nums:\n        total = total + n\n    return total\naverage("hello")', [], ['Incompatible argument type']],
+        ['def average(nums):\n    total = 0\n    for n in nums:\n        total = total + n\n    return total\naverage([1, 2])', ['Incompatible argument type'], []],
+        ['def show(x):\n    print(x)\nshow(None)\nshow(5)', ['Incompatible argument type'], []],
+        ['def f(x):\n    return x + 1\ny = f(1)\ny + "a"', ['Incompatible argument type'], ['Incompatible types']],
+        ['def f(a, b):\n    return a + b\nprint(f(1, "x"))', ['Incompatible argument type'], ['Incompatible types']],
+        ['def f(a, b):\n    return a - b\nprint(f(1, "x"))', [], ['Incompatible argument type'], {'Incompatible argument type': {'parameter': 'b'}}],
+        ['def f(x):\n    return 1 + x\nprint(f("a"))', [], ['Incompatible argument type'], {'Incompatible argument type': {'parameter': 'x', 'severity': 'error'}}],
+        ['def f(x, y=2):\n    return x + y\nprint(f(1))', ['Incompatible argument type', 'Incompatible types', 'Incorrect Arity'], []],
+        ['def describe(x):\n    print(x)\ndescribe("hi")\ndescribe(5)', [], ['Incompatible argument type'], {'Incompatible argument type': {'severity': 'style'}}],
         // Out of scope
         ['def x(parameter):\n    return parameter\nx(0)\nparameter', [], ['Read out of scope']],
         ['def x(parameter):\n    return parameter\nx(0)', ['Read out of scope'], []],
@@ -197,6 +229,32 @@
         // While
         ['user = input("Give a word.")\nwhile user:\n    print(user)\n    user = input("Give another word.")',
          ['Unread variables'], []],
+        ['while input():\n    y = 0\nprint(y)', [], ['Possibly undefined variables']],
+        ['x = 0\nwhile x < 10:\n    x = x + 1\nprint(x)', ['Possibly undefined variables', 'Unread variables'], []],
+        ['a = 0\nwhile input():\n    a = 5\nprint(a)', ['Overwritten variables'], []],
+        ['while input():\n    a = 0\n    a = 1\n    print(a)', [], ['Overwritten variables']],
+        ['while True:\n    y = 0\nprint(y)', ['Possibly undefined variables'], []],
+        ['while input():\n    y = 0\nelse:\n    y = 1\nprint(y)', ['Possibly undefined variables'], []],
+        
+        // Break and continue
+        ['while True:\n    y = input()\n    if y:\n        break\nprint(y)', ['Possibly undefined variables', 'Undefined variables'], []],
+        ['while True:\n    x = input()\n    if x == "q":\n        break\n    y = 5\nprint(y)', [], ['Possibly undefined variables']],
+        ['while True:\n    if input():\n        y = 0\n        break\nprint(y)', ['Possibly undefined variables'], []],
+        ['for x in [1, 2]:\n    if x:\n        continue\n    y = x\nprint(y)', [], ['Possibly undefined variables']],
+        ['for x in [1, 2]:\n    if x:\n        y = 0\n        continue\n    y = x\nprint(y)', ['Possibly undefined variables'], []],
+        ['for x in [1, 2]:\n    if x:\n        break\nelse:\n    y = 0\nprint(y)', [], ['Possibly undefined variables']],
+        
+        // Try/except
+        ['try:\n    a = int(input())\nexcept ValueError:\n    print("Bad")\nprint(a)', ['Undefined variables'], ['Possibly undefined variables']],
+        ['try:\n    a = int(input())\nexcept ValueError:\n    a = 0\nprint(a)', ['Possibly undefined variables'], []],
+        ['try:\n    a = int(input())\nexcept (ValueError, TypeError) as e:\n    print(e)\nelse:\n    print(a)', ['Possibly undefined variables', 'Undefined variables'], []],
+        ['try:\n    a = 1\nfinally:\n    print("Done")\nprint(a)', ['Possibly undefined variables'], []],
+        ['try:\n    a = int(input())\nexcept ValueError as e:\n    a = 0', [], ['Unread variables']],
+        ['try:\n    a = 0\n    a = 1\nexcept:\n    pass\nprint(a)', [], ['Overwritten variables']],
+        ['try:\n    x = 1\nexcept:\n    raise\nprint(x)', ['Possibly undefined variables'], []],
+        ['def f(x):\n    if x:\n        y = 1\n    else:\n        raise x\n    return y\nprint(f(1))', ['Possibly undefined variables'], []],
+        ['def f(x):\n    if x:\n        return 0\n    y = 1\n    return y\nprint(f(1))', ['Possibly undefined variables', 'Action after return'], []],
+        ['def f(x):\n    for i in x:\n        if i:\n            y = i\n        else:\n            return 0\n        print(y)\n    return 1\nprint(f([1]))', ['Possibly undefined variables'], []],
          
         // With
         ['with open("A") as a:\n    print(a)', ['Undefined variables'], []],
@@ -210,15 +268,55 @@
         
         // Classes
         ['class A:\n    y = 0\n    def __init__(self, x):\n        self.x = 0\n        self.test()\n    def test(self):\n        self.x = 5\nA()', [], []],
+        ['class A:\n    def __init__(self):\n        self.x = 0\na = A()\nprint(a.x)', ['Attribute used before assignment', 'Not a function', 'Unread variables'], []],
+        ['class A:\n    def __init__(self):\n        self.x = 0\na = A()\nprint(a.y)', [], ['Attribute used before assignment']],
+        ['class A:\n    def __init__(self):\n        print(self.x)\n        self.x = 0\nA()', [], ['Attribute used before assignment']],
+        ['class A:\n    count = 0\nprint(A.count + 1)', ['Attribute used before assignment', 'Incompatible types', 'Unread variables'], []],
+        ['class A:\n    def f(self, x):\n        return x\na = A()\na.f(1) + "x"', ['Method called with wrong arity'], ['Incompatible types']],
+        ['class A:\n    def f(self, x):\n        return x\na = A()\na.f()', [], ['Method called with wrong arity']],
+        ['class A:\n    def f(self, x):\n        return x\na = A()\na.f(1, 2)', [], ['Method called with wrong arity']],
+        ['class A:\n    def __init__(self, x):\n        self.x = x\nA()', [], ['Method called with wrong arity']],
+        ['class A:\n    def __init__(self):\n        self.n = 0\n    def add(self):\n        self.n += 1\na = A()\na.add()\nprint(a.n)', ['Attribute used before assignment', 'Incompatible types', 'Undefined variables'], []],
+        ['class A:\n    def __init__(self):\n        self.x = 0\nclass B(A):\n    def get(self):\n        return self.x\nb = B()\nb.get() + ""', ['Attribute used before assignment'], ['Incompatible types']],
+        ['class A:\n    def __init__(self, x):\n        self.x = x\nclass B(A):\n    def __init__(self):\n        super().__init__(5)\nb = B()\nprint(b.x)', ['Attribute used before assignment', 'Undefined variables', 'Method called with wrong arity'], []],
+        ['class A:\n    def f(self):\n        return self.f()\nA().f()', [], ['Recursive Call']],
+        ['class A:\n    def __init__(self, x=0):\n        self.x = x\na = A()\nprint(a.x + 1)', ['Incorrect Arity', 'Method called with wrong arity', 'Incompatible types'], []],
+        ['class A:\n    def __init__(self):\n        self.items = []\n    def add(self, x):\n        self.items.append(x)\na = A()\na.add(5)\nprint(a.items)', ['Type changes', 'Append to non-list'], []],
+        ['class A:\n    @classmethod\n    def make(cls, x):\n        return x\nprint(A.make(3) + 1)\nprint(A().make(3))', ['Incorrect Arity', 'Method called with wrong arity', 'Incompatible types'], []],
+        ['class A:\n    @classmethod\n    def make(cls, x):\n        return x\nA.make()', [], ['Method called with wrong arity']],
+        ['class A:\n    @staticmethod\n    def make(x):\n        return x\nprint(A.make(3))\nprint(A().make(3))', ['Incorrect Arity', 'Method called with wrong arity'], []],
+        // Undefined variables: why, and what was probably meant
+        ['print(m)', [], ['Undefined variables'], {'Undefined variables': {'cause': 'never', 'suggestion': null}}],
+        ['print(z)\nz = 1', [], ['Undefined variables'], {'Undefined variables': {'cause': 'later', 'assigned': {'line': 2}}}],
+        ['x = 0\nwhile x < 3:\n    y = y + 1\n    x = x + 1', [], ['Undefined variables'], {'Undefined variables': {'cause': 'update', 'name': 'y'}}],
+        ['for i in [1]:\n    print(q)\n    q = 1', [], ['Undefined variables'], {'Undefined variables': {'cause': 'loop', 'assigned': {'line': 3}}}],
+        ['totl = 0\nprint(total)', [], ['Undefined variables'], {'Undefined variables': {'suggestion': {'name': 'totl'}}}],
+        ['def f(x):\n    print(lenn(x))\nf(1)', [], ['Undefined variables'], {'Undefined variables': {'suggestion': {'name': 'len'}}}],
+        ['def f(*args, **kwargs):\n    print(args, kwargs)\nf(1, 2)', ['Undefined variables'], []],
+        ['def f(*args):\n    print(args[0] + 1)\nf(1, 2)', ['Undefined variables', 'Incompatible types'], []],
     ];
     
+    function matchesDetails(found, expected) {
+        if (typeof expected !== "object" || expected === null ||
+            typeof found !== "object" || found === null) {
+            return found === expected;
+        }
+        for (var key in expected) {
+            if (!matchesDetails(found[key], expected[key])) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
     var errors = 0;
     var analyzer = new Tifa();
     for (var i = len = unit_tests.length-1; i >= 0; i = i-1) {
         console.log("TEST", i)
         var source = unit_tests[i][0],
             nones = unit_tests[i][1],
-            somes = unit_tests[i][2];
+            somes = unit_tests[i][2],
+            details = unit_tests[i][3] || {};
         analyzer.processCode(source);
         //console.log(source);
         if (!analyzer.report.success) {
@@ -238,6 +336,15 @@
                 errors += 1;
             }
         }
+        for (var issue in details) {
+            var matches = analyzer.report.issues[issue].filter(function(found) {
+                return matchesDetails(found, details[issue]);
+            });
+            if (matches.length == 0) {
+                console.error("AI Tests: Wrong details for "+issue, "\n"+source, "\n", analyzer.report.issues[issue]);
+                errors += 1;
+            }
+        }
     }
     if (errors == 0) {
         console.log("All test cases passed!");
@@ -0,0 +1,100 @@
+/**
+ * The kinds of issues that the static analyzers can report. Analyzers group
+ * their issues by an English name (e.g., "Undefined variables"), but every
+ * issue is also given a stable code and a severity, along with a payload of
+ * the details that are common to all issues, so that issues can be counted
+ * and compared without matching on their names:
+ *   issue: The English name of the kind of issue
+ *   code: A stable identifier for the kind of issue (e.g., "undefined_variable")
+ *   severity: "error" if the program will (probably) crash, "warning" if it
+ *             is (probably) wrong, or "style" if it is only poorly written
+ *   name: The variable, function, or module involved, or null
+ *   line, column: Where the issue is, or null
+ *   types: The names of any types involved (e.g., ["Num", "Str"])
+ * Any other properties are specific to that kind of issue.
+ */
+var AnalyzerIssues = {
+    SEVERITIES: ["error", "warning", "style"],
+    KINDS: {
+        "Parser Failure": {"code": "parser_failure", "severity": "error"},
+        "Unconnected blocks": {"code": "unconnected_blocks", "severity": "error"},
+        "Empty Body": {"code": "empty_body", "severity": "warning"},
+        "Malformed Conditional": {"code": "malformed_conditional", "severity": "warning"},
+        "Unnecessary Pass": {"code": "unnecessary_pass", "severity": "style"},
+        "Unread variables": {"code": "unread_variable", "severity": "warning"},
+        "Undefined variables": {"code": "undefined_variable", "severity": "error"},
+        "Possibly undefined variables": {"code": "possibly_undefined_variable", "severity": "warning"},
+        "Overwritten variables": {"code": "overwritten_variable", "severity": "warning"},
+        "Append to non-list": {"code": "append_to_non_list", "severity": "error"},
+        "Used iteration list": {"code": "used_iteration_list", "severity": "warning"},
+        "Unused iteration variable": {"code": "unused_iteration_variable", "severity": "warning"},
+        "Non-list iterations": {"code": "non_list_iteration", "severity": "error"},
+        "Empty iterations": {"code": "empty_iteration", "severity": "warning"},
+        "Type changes": {"code": "type_change", "severity": "style"},
+        "Iteration variable is iteration list": {"code": "iteration_variable_is_list", "severity": "warning"},
+        "Unknown functions": {"code": "unknown_function", "severity": "warning"},
+        "Not a function": {"code": "not_a_function", "severity": "error"},
+        "Recursive Call": {"code": "recursive_call", "severity": "style"},
+        "Incorrect Arity": {"code": "incorrect_arity", "severity": "error"},
+        "Action after return": {"code": "action_after_return", "severity": "warning"},
+        "Incompatible types": {"code": "incompatible_types", "severity": "error"},
+        "Return outside function": {"code": "return_outside_function", "severity": "error"},
+        "Read out of scope": {"code": "read_out_of_scope", "severity": "warning"},
+        "Write out of scope": {"code": "write_out_of_scope", "severity": "warning"},
+        "Aliased built-in": {"code": "aliased_builtin", "severity": "warning"},
+        "Method not in Type": {"code": "method_not_in_type", "severity": "error"},
+        "Submodule not found": {"code": "submodule_not_found", "severity": "warning"},
+        "Module not found": {"code": "module_not_found", "severity": "warning"},
+        "Attribute used before assignment": {"code": "attribute_before_assignment", "severity": "error"},
+        "Method called with wrong arity": {"code": "method_wrong_arity", "severity": "error"},
+        "Incompatible argument type": {"code": "incompatible_argument_type", "severity": "error"}
+    },
+    // The properties of an issue that might hold the types involved
+    TYPE_PROPERTIES: ["type", "left", "right", "expected", "old", "new"]
+};
+
+/**
+ * Fills in the code, severity, and common payload of an issue. Analyzers
+ * can choose their own code and severity for kinds of issues that are not
+ * listed in AnalyzerIssues.KINDS; otherwise one is made from the name.
+ *
+ * @param {String} issue - The English name of the kind of issue.
+ * @param {Object} data - The issue, which is modified and returned.
+ * @returns {Object} The issue.
+ */
+AnalyzerIssues.structure = function(issue, data) {
+    var kind = AnalyzerIssues.KINDS[issue] || {};
+    data.issue = issue;
+    data.code = data.code || kind.code || issue.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+    data.severity = data.severity || kind.severity || "warning";
+    if (data.name === undefined) {
+        data.name = null;
+    }
+    var position = data.position || {};
+    data.line = position.line === undefined ? null : position.line;
+    data.column = position.column === undefined ? null : position.column;
+    data.types = [];
+    AnalyzerIssues.TYPE_PROPERTIES.forEach(function(property) {
+        var type = data[property];
+        if (type) {
+            // Tifa names its types, the AbstractInterpreter "type"s them
+            data.types.push(typeof type.name === "string" ? type.name : type.type);
+        }
+    });
+    return data;
+}
+
+/**
+ * Structures every issue in a map of issue names to lists of issues.
+ *
+ * @returns {Array} All of the issues, in one list.
+ */
+AnalyzerIssues.structureAll = function(issues) {
+    var all = [];
+    for (var issue in issues) {
+        issues[issue].forEach(function(data) {
+            all.push(AnalyzerIssues.structure(issue, data));
+        });
+    }
+    return all;
+}
@@ -23,7 +23,8 @@ var iter_child_nodes = function(node) {
     var resultList = [];
     for (var i = 0; i < fieldList.length; i += 1) {
         var field = fieldList[i][0], value = fieldList[i][1];
-        if (value === null) {
+        // Some fields are plain numbers, like the level of an ImportFrom
+        if (value === null || typeof value !== "object") {
             continue;
         }
         if ("_astname" in value) {
@@ -70,6 +70,9 @@ BlockPyCorgis.prototype.importDataset = function(slug, name, silently) {
             Sk.builtinFiles['files']['src/lib/'+slug+'/__init__.js'] = data;
         });
         var get_blockly = $.getScript(root+'_blockly.js');
+        // Optionally describe the dataset's functions for the static analyzers;
+        // most datasets don't have stubs, so a missing file is not an error
+        TypeStubs.load(root+'_stubs.json').fail(function() {});
         // On completion, update menus.
         var corgis = this;
         $.when(get_dataset, get_skulpt, 
@@ -49,6 +49,10 @@ function BlockPyEditor(main, tag) {
     this.initInstructor();
     
     this.triggerOnChange = null;
+    // Analyzer issues shown inline while the student edits
+    this.triggerAnnotations = null;
+    this.annotationMarks = [];
+    this.annotatedBlocks = [];
     var editor = this;
     var firstEdit = true;
     this.main.model.program.subscribe(function() {
@@ -62,9 +66,18 @@ function BlockPyEditor(main, tag) {
             }
             var engine = editor.main.components.engine;
             editor.triggerOnChange = setTimeout(engine.on_change.bind(engine), 2500);
+            clearTimeout(editor.triggerAnnotations);
+            editor.triggerAnnotations = setTimeout(editor.refreshAnnotations.bind(editor),
+                                                   BlockPyEditor.ANNOTATION_DELAY);
         }
         firstEdit = false;
     });
+    // Annotations are only for the student's code
+    this.main.model.settings.filename.subscribe(function (name) {
+        if (name != "__main__") {
+            editor.clearAnnotations();
+        }
+    });
     
     // Handle mode switching
     var settings = this.main.model.settings;
@@ -132,6 +145,38 @@ BlockPyEditor.prototype.initBlockly = function() {
     
     Blockly.captureDialog_ = this.copyImage.bind(this);
     
+    // Let students toggle breakpoints from any block's context menu
+    var model = this.main.model;
+    var addBreakpointOption = function(block, options) {
+        var line = parseInt(block.lineNumber, 10);
+        if (isNaN(line)) {
+            return;
+        }
+        var hasBreakpoint = model.execution.breakpoints.indexOf(line) != -1;
+        options.push({
+            enabled: true,
+            text: hasBreakpoint ? "Remove Breakpoint" : "Add Breakpoint",
+            callback: function() { model.toggleBreakpoint(line); }
+        });
+    };
+    Blockly.BlockSvg.prototype.customContextMenu = function(options) {
+        addBreakpointOption(this, options);
+    };
+    // Blocks like procedures define their own menu, which hides the
+    // prototype's; wrap those so they keep their items and gain ours.
+    Object.keys(Blockly.Blocks).forEach(function(type) {
+        var definition = Blockly.Blocks[type],
+            original = definition.customContextMenu;
+        if (typeof original != 'function' || original.withBreakpoints) {
+            return;
+        }
+        definition.customContextMenu = function(options) {
+            original.call(this, options);
+            addBreakpointOption(this, options);
+        };
+        definition.customContextMenu.withBreakpoints = true;
+    });
+    
     // Enable static type checking! 
     /*
     this.blockly.addChangeListener(function() {
@@ -187,6 +232,7 @@ BlockPyEditor.prototype.initText = function() {
                                         readOnly: this.main.model.settings.read_only(),
                                         showCursorWhenSelecting: true,
                                         lineNumbers: true,
+                                        gutters: ["CodeMirror-linenumbers", "blockpy-annotations", "blockpy-breakpoints"],
                                         firstLineNumber: 1,
                                         indentUnit: 4,
                                         tabSize: 4,
@@ -201,7 +247,15 @@ BlockPyEditor.prototype.initText = function() {
         //editor.main.components.feedback.clearEditorErrors();
         editor.updateText()
         editor.unhighlightLines();
+        editor.refreshBreakpoints();
     });
+    
+    // Clicking in the gutter toggles a breakpoint
+    var model = this.main.model;
+    this.codeMirror.on("gutterClick", function(cm, line) {
+        model.toggleBreakpoint(line+1);
+    });
+    model.execution.breakpoints.subscribe(this.refreshBreakpoints.bind(this));
 
     // Ensure that it fills the editor area
     this.codeMirror.setSize(null, "100%");
@@ -635,6 +689,74 @@ BlockPyEditor.prototype.updateBlocksFromModel = function() {
 BlockPyEditor.prototype.getBlocksFromXml = function() {
     return Blockly.Xml.workspaceToDom(this.blockly);
 }
+
+/**
+ * Describes the blocks in the workspace (from getBlocksFromXml) as a tree of
+ * plain objects, so that it can be given to the instructor's code. Each block
+ * has its "id", "type", "fields" (a mapping of field names to their values),
+ * the "input" of its parent that it is plugged into (or null), its position
+ * ("x" and "y", only for blocks at the top of a stack), the "line" of code
+ * it became (or null), whether it is an "orphan" (an expression that isn't
+ * plugged into anything), and its "children". Stacks of statements are
+ * flattened, so a block that follows another is its sibling.
+ *
+ * @returns {Array} The blocks at the top level of the workspace.
+ */
+BlockPyEditor.prototype.getBlockTree = function() {
+    var blockly = this.blockly;
+    var elementsNamed = function(element, names) {
+        var found = [];
+        for (var i = 0; i < element.childNodes.length; i++) {
+            var child = element.childNodes[i];
+            if (child.nodeType == 1 && names.indexOf(child.nodeName.toLowerCase()) != -1) {
+                found.push(child);
+            }
+        }
+        return found;
+    };
+    var describeStack = function(element, input, isTop) {
+        var stack = [];
+        while (element) {
+            var block = {
+                'id': element.getAttribute('id'),
+                'type': element.getAttribute('type'),
+                'fields': {},
+                'input': input,
+                'x': null, 'y': null,
+                'line': null, 'orphan': false,
+                'children': []
+            };
+            if (isTop && stack.length === 0) {
+                block.x = parseInt(element.getAttribute('x'), 10) || 0;
+                block.y = parseInt(element.getAttribute('y'), 10) || 0;
+            }
+            var live = blockly.getBlockById(block.id);
+            if (live) {
+                var line = parseInt(live.lineNumber, 10);
+                block.line = isNaN(line) ? null : line;
+                block.orphan = isTop && !!live.outputConnection;
+            }
+            elementsNamed(element, ['field']).forEach(function(field) {
+                block.fields[field.getAttribute('name')] = field.textContent;
+            });
+            elementsNamed(element, ['value', 'statement']).forEach(function(connection) {
+                elementsNamed(connection, ['block']).forEach(function(child) {
+                    block.children = block.children.concat(
+                        describeStack(child, connection.getAttribute('name'), false));
+                });
+            });
+            stack.push(block);
+            var next = elementsNamed(element, ['next'])[0];
+            element = next ? elementsNamed(next, ['block'])[0] : null;
+        }
+        return stack;
+    };
+    var tree = [];
+    elementsNamed(this.getBlocksFromXml(), ['block']).forEach(function(element) {
+        tree = tree.concat(describeStack(element, null, true));
+    });
+    return tree;
+}
           
 /**
  * Helper function for setting the current Blockly workspace to
@@ -664,6 +786,116 @@ BlockPyEditor.prototype.refreshHighlight = function() {
     // TODO: Shouldn't this refresh the highlight in the block side too?
 }
 
+/**
+ * Redraws the breakpoint markers in the CodeMirror gutter, skipping any
+ * breakpoints that are now past the end of the code.
+ */
+BlockPyEditor.prototype.refreshBreakpoints = function() {
+    var codeMirror = this.codeMirror;
+    codeMirror.clearGutter("blockpy-breakpoints");
+    this.main.model.execution.breakpoints().forEach(function(line) {
+        if (line <= codeMirror.lineCount()) {
+            var marker = $("<span class='blockpy-breakpoint'>&#9679;</span>")[0];
+            codeMirror.setGutterMarker(line-1, "blockpy-breakpoints", marker);
+        }
+    });
+}
+
+/**
+ * How long to wait after the last edit before analyzing the code (in milliseconds).
+ */
+BlockPyEditor.ANNOTATION_DELAY = 1000;
+
+/**
+ * Removes all of the analyzer issues shown in the editors.
+ */
+BlockPyEditor.prototype.clearAnnotations = function() {
+    this.codeMirror.clearGutter("blockpy-annotations");
+    this.annotationMarks.forEach(function(mark) {
+        mark.clear();
+    });
+    this.annotationMarks = [];
+    this.annotatedBlocks.forEach(function(block) {
+        // The block might have been thrown away since it was annotated
+        if (block.workspace) {
+            block.setWarningText(null);
+        }
+    });
+    this.annotatedBlocks = [];
+}
+
+/**
+ * Analyzes the student's code in the background and shows its issues in the
+ * editors: as markers in the CodeMirror gutter, as underlines on the code,
+ * and as warnings on the blocks. Each one has a tooltip with the same
+ * message that the feedback area would show.
+ */
+BlockPyEditor.prototype.refreshAnnotations = function() {
+    this.triggerAnnotations = null;
+    this.clearAnnotations();
+    if (this.main.model.settings.filename() != "__main__") {
+        return;
+    }
+    var analyzer = this.main.components.engine.analyzeInBackground();
+    if (analyzer === null) {
+        // Syntax errors are reported when the code is run
+        return;
+    }
+    var issues = {};
+    analyzer.issue_list.forEach(function(issue) {
+        issues[issue.code] = (issues[issue.code] || []).concat([issue]);
+    });
+    var descriptions = this.main.components.feedback.describeAnalyzerIssues(issues);
+    // Collect the issues on each line, most severe first
+    var lines = {};
+    descriptions.forEach(function(issue) {
+        if (issue.line !== null) {
+            lines[issue.line] = (lines[issue.line] || []).concat([issue]);
+        }
+    });
+    var codeMirror = this.codeMirror;
+    var blocks = {};
+    this.blockly.getAllBlocks().forEach(function(block) {
+        var line = parseInt(block.lineNumber, 10);
+        blocks[line] = (blocks[line] || []).concat([block]);
+    });
+    for (var line in lines) {
+        line = parseInt(line, 10);
+        if (line > codeMirror.lineCount()) {
+            continue;
+        }
+        var annotations = lines[line];
+        annotations.sort(function(a, b) {
+            return AnalyzerIssues.SEVERITIES.indexOf(a.severity) - AnalyzerIssues.SEVERITIES.indexOf(b.severity);
+        });
+        var tooltip = annotations.map(function(issue) {
+            return $("<div></div>").html(issue.title+": "+issue.message).text();
+        }).join("\n\n");
+        var severity = annotations[0].severity;
+        var marker = $("<span class='blockpy-annotation'>&#9650;</span>")
+            .addClass('blockpy-annotation-'+severity)
+            .attr('title', tooltip)[0];
+        codeMirror.setGutterMarker(line-1, "blockpy-annotations", marker);
+        annotations.forEach(function(issue) {
+            var text = codeMirror.getLine(line-1);
+            var start = issue.column === null ? 0 : issue.column;
+            var end = text.length;
+            if (issue.column !== null && issue.name !== null &&
+                text.substr(start, issue.name.length) == issue.name) {
+                end = start + issue.name.length;
+            }
+            this.annotationMarks.push(codeMirror.markText(
+                {'line': line-1, 'ch': start}, {'line': line-1, 'ch': end},
+                {'className': 'blockpy-annotation-underline-'+issue.severity,
+                 'title': tooltip}));
+        }, this);
+        (blocks[line] || []).forEach(function(block) {
+            block.setWarningText(tooltip);
+            this.annotatedBlocks.push(block);
+        }, this);
+    }
+}
+
 /**
  * Highlights a line of code in the CodeMirror instance. This applies the "active" style
  * which is meant to bring attention to a line, but not suggest it is wrong.
@@ -680,6 +912,8 @@ BlockPyEditor.prototype.highlightLine = function(line) {
     if (line < this.codeMirror.lineCount()) {
         this.codeMirror.addLineClass(line, 'text', 'editor-active-line');
     }
+    this.blockly.highlightBlock(null);
+    this.refreshBlockHighlight(line);
     this.previousLine = line;
 }
 
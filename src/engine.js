@@ -13,18 +13,99 @@
 function BlockPyEngine(main) {
     this.main = main;
     this.configureSkulpt();
-    this.setStudentEnvironment();
     
     // Keeps track of the tracing while the program is executing
     this.executionBuffer = {};
-    //this.abstractInterpreter = new Tifa();
+    // Keeps track of breakpoints and stepping while the program is paused
+    this.debugger = {'mode': 'run', 'depth': 0};
+    this.resumeExecution_ = null;
+    // The Web Worker for student code, if there is one
+    this.worker = null;
+    this.workerAfter = null;
+    // Whether the user asked to stop the current run
+    this.cancelled = false;
     
     this.openedFiles = {};
+    // Files written by the student's programs during this session. Instructor
+    // runs write to a scratch copy instead, so they cannot change them.
+    this.writtenFiles = {};
+    this.activeFiles = this.writtenFiles;
+    
+    this.setStudentEnvironment();
 }
 
+/**
+ * The static analyzers that can be run on the students' code, by name. Each
+ * one is a function that is given the AST and source code of the students'
+ * program, and returns an object with an "issues" map from issue names to
+ * lists of issues (and optionally their "variables" and "behavior"). It can
+ * also return null if it is not available on this page. Assignments choose
+ * which of these to run with their "analyzers" list.
+ *
+ * @type Object.<String, Function>
+ */
+BlockPyEngine.ANALYZERS = {};
+
+/**
+ * Adds a static analyzer that assignments can enable, such as a
+ * department-specific set of style checks. Registering a name that
+ * already exists replaces that analyzer.
+ *
+ * @param {String} name - The name that assignments will refer to it by.
+ * @param {Function} analyzer - A function as described in ANALYZERS.
+ */
+BlockPyEngine.registerAnalyzer = function(name, analyzer) {
+    BlockPyEngine.ANALYZERS[name] = analyzer;
+};
+
+/**
+ * The name that an assignment's own check (its "analyzer_code") is reported
+ * under, alongside the registered analyzers.
+ *
+ * @type String
+ */
+BlockPyEngine.ASSIGNMENT_ANALYZER = 'assignment';
+
+BlockPyEngine.registerAnalyzer('tifa', function(ast) {
+    if (typeof Tifa !== 'function') {
+        return null;
+    }
+    var report = new Tifa().processAst(ast);
+    return {'issues': report.issues,
+            'variables': report.topLevelVariables,
+            'behavior': report.variables};
+});
+
+BlockPyEngine.registerAnalyzer('abstract_interpreter', function(ast) {
+    if (typeof AbstractInterpreter !== 'function') {
+        return null;
+    }
+    var interpreter = new AbstractInterpreter();
+    interpreter.processAst(ast);
+    // The older interpreter keeps its issues at the top of its report
+    var issues = {};
+    for (var issue in interpreter.report) {
+        if (issue != 'error') {
+            issues[issue] = interpreter.report[issue];
+        }
+    }
+    return {'issues': issues, 'variables': interpreter.variableTypes};
+});
+
 BlockPyEngine.prototype.UTILITY_MODULE_CODE = 'var $builtinmodule = '+$sk_mod_instructor.toString();
 BlockPyEngine.prototype.PREVENT_UTILITY_MODULE = 'raise NotImplementedError("utility module not available to students.")';
 
+/**
+ * Replaces pedal's sandbox, which can't run in Skulpt, with the one in
+ * src/instructor/sandbox.py. A Sandbox calls the students' functions in
+ * isolation, each time with a fresh copy of their code, any mocked builtins
+ * or module functions (e.g., "input", "open", or "random.randint"), its own
+ * queued input and captured output, and a time limit (see call_in_sandbox
+ * in sk_mod_instructor.js).
+ */
+BlockPyEngine.SANDBOX_MODULE_FILE = 'src/lib/pedal/sandbox/sandbox.py';
+BlockPyEngine.SANDBOX_MODULE_NAME = 'sandbox.py';
+
 /**
  * Initializes the Python Execution engine and the Printer (console).
  * This is typically called only once.
@@ -41,11 +122,14 @@ BlockPyEngine.prototype.configureSkulpt = function() {
         // Function to handle the text outputted by Skulpt
         output: printer.print.bind(printer),
         // Function to handle loading in new files
-        read: this.readFile.bind(this)
+        read: this.readFile.bind(this),
+        // Regularly give the page a chance to respond (e.g., to the Stop button)
+        yieldLimit: 100
     });
     // Allow file access
     Sk.openFilenamePrefix = "sk-filename-";
     Sk.inBrowser = this.openFile.bind(this);
+    Sk.filewrite = this.writeFile.bind(this);
     // Proxy requests
     var engine = this;
     Sk.requestsGet = function(filename) { return engine.openURL(filename, 'url')};
@@ -61,29 +145,62 @@ BlockPyEngine.prototype.configureSkulpt = function() {
  *
  */
 BlockPyEngine.prototype.setStudentEnvironment = function() {
-    // Limit execution to 5 seconds
+    // Limit execution to the assignment's time limit (10 seconds by default)
     var settings = this.main.model.settings;
+    var timeLimit = 1000*this.getLimit('student_time_limit');
     Sk.execLimitFunction = function() { 
-        return settings.disable_timeout() ? Infinity : 10000; 
+        return settings.disable_timeout() ? Infinity : timeLimit; 
     };
     Sk.execLimit = Sk.execLimitFunction();
+    // And to the assignment's step limit, checked in the stepper
+    this.stepLimit = this.getLimit('student_step_limit');
     // Identify the location to put new charts
     Sk.console = this.main.components.printer.getConfiguration();
     // Stepper! Executed after every statement.
     Sk.afterSingleExecution = this.step.bind(this);
+    // Suspend before every statement so we can peek at function locals
+    // and pause on breakpoints. This slows the program down, so it is only
+    // done when there are breakpoints, or functions whose locals are traced.
+    var execution = this.main.model.execution;
+    Sk.debugging = execution.breakpoints().length > 0 ||
+                   (!settings.trace_off() && this.definesFunctions(execution.reports['parser']));
+    Sk.breakpoints = function() { return true; };
+    this.instrumentFunctionCalls(true);
     // Unmute everything
     Sk.console.skipDrawing = !!settings.preventD3;
     this.main.model.settings.mute_printer(false);
-    // Create an input box
+    // Create an input box, after using up any scripted answers
     Sk.inputfun = this.inputFunction.bind(this);
+    var scriptedInput = this.main.model.execution.scripted_input();
+    this.scriptedInput = scriptedInput === '' ? [] : scriptedInput.split(NEW_LINE_REGEX);
+    // Seed the random module, so that the run can be reproduced
+    this.executionBuffer.random_seed = this.chooseRandomSeed();
+    Sk.randomSeed = this.executionBuffer.random_seed;
     // Disable utility module
     Sk.builtinFiles.files['src/lib/utility/__init__.js'] = this.PREVENT_UTILITY_MODULE;
+    // Write to the real files
+    this.activeFiles = this.writtenFiles;
 }
 BlockPyEngine.prototype.setInstructorEnvironment = function() {
-    // Instructors have no limits
-    Sk.execLimit = undefined;
-    // Stepper! Executed after every statement.
-    Sk.afterSingleExecution = null;
+    // Instructors have no limits, unless the assignment sets some
+    var timeLimit = 1000*this.getLimit('instructor_time_limit');
+    Sk.execLimitFunction = function() {
+        return timeLimit;
+    };
+    Sk.execLimit = timeLimit;
+    // Stepper! Only needs to count statements for the step limit.
+    var stepLimit = this.getLimit('instructor_step_limit');
+    var engine = this, steps = 0;
+    Sk.afterSingleExecution = stepLimit === Infinity ? null : function() {
+        steps += 1;
+        if (steps > stepLimit) {
+            throw engine.stepLimitError(stepLimit);
+        }
+    };
+    Sk.debugging = false;
+    this.instrumentFunctionCalls(false);
+    // Use the same random numbers as the student's run
+    Sk.randomSeed = this.executionBuffer.random_seed;
     // Mute everything
     Sk.console.skipDrawing = true;
     this.main.model.settings.mute_printer(true);
@@ -92,6 +209,58 @@ BlockPyEngine.prototype.setInstructorEnvironment = function() {
     Sk.inputfun = this.inputMockFunction.bind(this);
     // Enable utility mode
     Sk.builtinFiles.files['src/lib/utility/__init__.js'] = this.UTILITY_MODULE_CODE;
+    // Write to a scratch copy of the files
+    this.activeFiles = $.extend({}, this.writtenFiles);
+}
+
+/**
+ * Determines whether the student's program defines any functions (including
+ * lambdas), which are the only places that have local variables to trace.
+ *
+ * @param {Object} parser - The parser's report, which may not exist yet.
+ * @returns {Boolean}
+ */
+BlockPyEngine.prototype.definesFunctions = function(parser) {
+    if (parser === undefined || !parser.success) {
+        return false;
+    }
+    return this.containsNode(parser.ast, function(node) {
+        return node._astname == 'FunctionDef' || node._astname == 'Lambda';
+    });
+}
+
+/**
+ * Decides what to seed the random module with for the student's next run.
+ *
+ * @returns {Number} The assignment's seed, or a new one if it has none.
+ */
+BlockPyEngine.prototype.chooseRandomSeed = function() {
+    var seed = parseInt(this.main.model.assignment.random_seed(), 10);
+    if (isNaN(seed)) {
+        return Math.floor(Math.random() * BlockPyEngine.MAX_RANDOM_SEED);
+    }
+    return seed;
+}
+BlockPyEngine.MAX_RANDOM_SEED = 2147483647;
+
+/**
+ * Reads one of the assignment's execution limits.
+ *
+ * @param {String} name - The name of the limit (e.g., "student_time_limit").
+ * @returns {Number} The limit, or Infinity if it is 0 or not set.
+ */
+BlockPyEngine.prototype.getLimit = function(name) {
+    var limit = parseFloat(this.main.model.assignment[name]());
+    return (isNaN(limit) || limit <= 0) ? Infinity : limit;
+}
+
+/**
+ * Creates the exception raised when a program runs too many statements.
+ *
+ * @param {Number} limit - The step limit that was exceeded.
+ */
+BlockPyEngine.prototype.stepLimitError = function(limit) {
+    return BlockPyTrace.stepLimitError(limit);
 }
 
 /**
@@ -107,9 +276,30 @@ BlockPyEngine.prototype.readFile = function(filename) {
         Sk.builtinFiles["files"][filename] === undefined) {
         throw "File not found: '" + filename + "'";
     }
+    if (filename == BlockPyEngine.RANDOM_MODULE_FILE) {
+        return Sk.builtinFiles["files"][filename] + this.SEED_RANDOM_MODULE;
+    }
     return Sk.builtinFiles["files"][filename];
 }
 
+/**
+ * Wraps Skulpt's random module so that it is seeded with Sk.randomSeed (if
+ * there is one) whenever it is imported. This is added to the end of the
+ * module's code, replacing its $builtinmodule. The worker is sent it along
+ * with each program (see runStudentCodeInWorker).
+ */
+BlockPyEngine.RANDOM_MODULE_FILE = 'src/lib/random.js';
+BlockPyEngine.prototype.SEED_RANDOM_MODULE = '\n'+
+    'var $builtinmodule = (function(unseeded) {\n'+
+    '    return function(name) {\n'+
+    '        var mod = unseeded(name);\n'+
+    '        if (Sk.randomSeed !== undefined && Sk.randomSeed !== null) {\n'+
+    '            Sk.misceval.callsim(mod.seed, Sk.ffi.remapToPy(Sk.randomSeed));\n'+
+    '        }\n'+
+    '        return mod;\n'+
+    '    };\n'+
+    '})($builtinmodule);\n';
+
 /**
  * Creates and registers a Promise from the Input box
  * @param {String} promptMessage - Message to display to the user.
@@ -118,7 +308,14 @@ BlockPyEngine.prototype.readFile = function(filename) {
 BlockPyEngine.prototype.inputFunction = function(promptMessage) {
     var printer = this.main.components.printer;
     var result = printer.printInput(promptMessage);
-    if (result.promise) {
+    if (this.scriptedInput.length) {
+        var answer = this.scriptedInput.shift();
+        if (result.promise) {
+            result.input.val(answer).prop('disabled', true);
+            result.button.prop('disabled', true);
+        }
+        return answer;
+    } else if (result.promise) {
         var resolveOnClick;
         var submittedPromise = new Promise(function(resolve, reject) {
             resolveOnClick = resolve;
@@ -151,24 +348,76 @@ BlockPyEngine.prototype.inputMockFunction = function(promptMessage) {
 }
 
 /**
+ * Opens a file for the student's code, which could be one that their code
+ * wrote, one embedded in the page, or one loaded for the assignment.
+ * Opening a file for writing ("w") empties it, and opening it for appending
+ * ("a") creates it if needed; either way, it becomes a written file.
+ *
  * @param {skulpt Str} name - The filename as a Skulpt string.
+ * @param {String} mode - How the file is being opened (defaults to "r").
+ * @returns {String} The current contents of the file.
+ */
+BlockPyEngine.prototype.openFile = function(name, mode) {
+    var contents = this.findFile(name);
+    mode = mode || 'r';
+    if (mode.charAt(0) == 'w') {
+        contents = '';
+    } else if (mode.charAt(0) == 'a') {
+        contents = contents || '';
+    } else if (contents === undefined) {
+        throw new Sk.builtin.IOError("[Errno 2] No such file or directory: '" + name + "'");
+    } else {
+        return contents;
+    }
+    this.storeFile(name, contents);
+    return contents;
+}
+
+/**
+ * Looks up the contents of a file by name, checking the written files first.
+ *
+ * @param {String} name - The filename.
+ * @returns {String} The contents, or undefined if there is no such file.
  */
-BlockPyEngine.prototype.openFile = function(name) {
+BlockPyEngine.prototype.findFile = function(name) {
+    if (name in this.activeFiles) {
+        return this.activeFiles[name];
+    }
     var filename = Sk.openFilenamePrefix || "";
     filename += name;
-    elem = document.getElementById(filename);
+    var elem = document.getElementById(filename);
     if (elem == null) {
-        if (name in this.openedFiles) {
-            return this.openedFiles[name];
-        } else {
-            throw new Sk.builtin.IOError("[Errno 2] No such file or directory: '" + name + "'");
-        }
+        return this.openedFiles[name];
+    } else if (elem.nodeName.toLowerCase() == "textarea") {
+        return elem.value;
     } else {
-        if (elem.nodeName.toLowerCase() == "textarea") {
-            return elem.value;
-        } else {
-            return elem.textContent;
-        }
+        return elem.textContent;
+    }
+}
+
+/**
+ * Used by Skulpt whenever the student's code writes to a file.
+ *
+ * @param {Sk.builtin.file} file - The Skulpt file being written.
+ * @param {String} text - The text being written.
+ */
+BlockPyEngine.prototype.writeFile = function(file, text) {
+    var name = Sk.ffi.remapToJs(file.name);
+    this.storeFile(name, (this.activeFiles[name] || '') + text);
+}
+
+/**
+ * Changes the contents of a written file, making sure that it shows up in
+ * the list of files (unless it was written by instructor code).
+ *
+ * @param {String} name - The filename.
+ * @param {String} contents - The new contents of the file.
+ */
+BlockPyEngine.prototype.storeFile = function(name, contents) {
+    this.activeFiles[name] = contents;
+    var written = this.main.model.execution.written_files;
+    if (this.activeFiles === this.writtenFiles && written.indexOf(name) == -1) {
+        written.push(name);
     }
 }
 
@@ -208,16 +457,18 @@ BlockPyEngine.prototype.loadAllFiles = function() {
  *
  */
 BlockPyEngine.prototype.resetExecution = function() {
-    this.executionBuffer = {
-        'trace': [],
-        'step': 0,
-        'last_step': 0,
-        'line_number': 0,
-    };
+    this.executionBuffer = BlockPyTrace.newBuffer();
+    this.executionBuffer.printed = [];
+    this.executionBuffer.random_seed = null;
+    // How the debugger should behave at the next statement
+    this.debugger = {'mode': 'run', 'depth': 0};
+    this.resumeExecution_ = null;
+    this.main.model.execution.paused_line(null);
     this.main.model.execution.trace.removeAll();
     this.main.model.execution.step(0);
     this.main.model.execution.last_step(0);
     this.main.model.execution.line_number(0)
+    this.main.model.execution.playing(false);
     this.main.components.printer.resetPrinter();
     this.main.model.execution.show_trace(false);
 }
@@ -232,21 +483,121 @@ BlockPyEngine.prototype.resetExecution = function() {
  * @param {String} filename - The name of the python file being executed (e.g., "__main__.py").
  */
 BlockPyEngine.prototype.step = function(variables, lineNumber, columnNumber, filename) {
-    if (filename == '__main__.py') {
-        var currentStep = this.executionBuffer.step;
-        var globals = this.parseGlobals(variables);
-        this.executionBuffer.trace.push(
-            {'step': currentStep,
-             'filename': filename,
-             //'block': highlightMap[lineNumber-1],
-             'line': lineNumber,
-             'column': columnNumber,
-             'properties': globals.properties,
-             'modules': globals.modules});
-        this.executionBuffer.step = currentStep+1;
-        this.executionBuffer.last_step = currentStep+1;
-        this.executionBuffer.line_number = lineNumber;
+    BlockPyTrace.step(this.executionBuffer, variables, lineNumber, columnNumber, filename,
+                      this.main.model.settings.trace_off(), this.stepLimit);
+}
+
+/**
+ * Wraps Skulpt's function calls so that every call to a function defined in
+ * the student's code pushes a frame onto the executionBuffer's stack, and
+ * pops it off (recording the return value) when the function finishes.
+ *
+ * @param {Boolean} enabled - Whether to install or remove the wrapper.
+ */
+BlockPyEngine.prototype.instrumentFunctionCalls = function(enabled) {
+    var engine = this;
+    BlockPyTrace.instrumentFunctionCalls(
+        enabled && !this.main.model.settings.trace_off() ?
+        function() { return engine.executionBuffer; } : null);
+}
+
+/**
+ * Handler for Skulpt's debug suspensions, which happen before every statement.
+ * Captures the local variables for the trace, and then decides whether to
+ * pause. If so, the returned promise holds execution until the student
+ * resumes it; otherwise, execution carries on immediately.
+ *
+ * @param {Sk.misceval.Suspension} suspension - The outermost suspension.
+ * @returns {Promise|undefined}
+ */
+BlockPyEngine.prototype.onDebugSuspension = function(suspension) {
+    if (this.cancelled) {
+        return Promise.reject(this.cancellationError());
+    }
+    var position = BlockPyTrace.recordSuspension(this.executionBuffer, suspension);
+    if (position.line === null || !this.shouldPause(position.line, position.depth)) {
+        return undefined;
+    }
+    this.pauseExecution(position.line, position.depth);
+    var engine = this;
+    return new Promise(function(resolve) {
+        engine.resumeExecution_ = resolve;
+    }).then(function() {
+        if (engine.cancelled) {
+            throw engine.cancellationError();
+        }
+        return suspension.resume();
+    });
+}
+
+/**
+ * Decides whether execution should pause before the given statement, either
+ * because of a breakpoint or because the student is stepping.
+ *
+ * @param {Number} line - The line of the statement about to run.
+ * @param {Number} depth - How many student functions are currently running.
+ */
+BlockPyEngine.prototype.shouldPause = function(line, depth) {
+    switch (this.debugger.mode) {
+        case 'into': return true;
+        case 'over': 
+            if (depth <= this.debugger.depth) {
+                return true;
+            }
+            break;
+    }
+    return this.main.model.execution.breakpoints.indexOf(line) != -1;
+}
+
+/**
+ * Shows the state of the program so far in the trace panel and highlights
+ * the statement that is about to run.
+ *
+ * @param {Number} line - The line of the statement about to run.
+ * @param {Number} depth - How many student functions are currently running.
+ */
+BlockPyEngine.prototype.pauseExecution = function(line, depth) {
+    var execution = this.main.model.execution;
+    this.lastStep();
+    execution.show_trace(true);
+    execution.trace_step(execution.last_step());
+    execution.paused_line(line);
+    this.main.components.editor.highlightLine(line-1);
+    this.debugger = {'mode': 'paused', 'depth': depth, 'since': Date.now()};
+}
+
+/**
+ * Continues a paused program.
+ *
+ * @param {String} mode - Either "run" (until the next breakpoint), "over"
+ *                        (to the next statement, skipping over function
+ *                        calls), or "into" (to the very next statement).
+ */
+BlockPyEngine.prototype.resumeExecution = function(mode) {
+    if (this.resumeExecution_ === null) {
+        return;
     }
+    var resume = this.resumeExecution_;
+    this.resumeExecution_ = null;
+    // Time spent paused does not count against the time limit
+    Sk.execStart += Date.now() - this.debugger.since;
+    this.debugger = {'mode': mode, 'depth': this.debugger.depth};
+    this.main.model.execution.paused_line(null);
+    this.main.components.editor.unhighlightLines();
+    resume();
+}
+
+/**
+ * Determines where the student's program currently is, so that output can
+ * be attributed to the step and line that produced it. The line is only
+ * known precisely while tracing; otherwise, the last traced line is used.
+ *
+ * @returns {Object} The current "step" and "line".
+ */
+BlockPyEngine.prototype.currentPosition = function() {
+    var buffer = this.executionBuffer;
+    return {'step': buffer.step,
+            'line': buffer.current_line || buffer.line_number};
 }
 
 /**
@@ -275,6 +626,13 @@ BlockPyEngine.prototype.lookForLines = function(feedbackData) {
  * Activated whenever the Run button is clicked
  */
 BlockPyEngine.prototype.on_run = function(afterwards) {
+    // Running a paused program just lets it finish
+    if (this.resumeExecution_ !== null) {
+        this.resumeExecution('run');
+        return;
+    }
+    this.cancelled = false;
+    this.main.model.execution.stoppable(true);
     this.main.model.execution.status("running");
     clearTimeout(this.main.components.editor.triggerOnChange);
     this.main.components.server.saveCode();
@@ -285,10 +643,17 @@ BlockPyEngine.prototype.on_run = function(afterwards) {
     engine.resetReports();
     engine.verifyCode();
     engine.updateParse();
-    //engine.analyzeParse();
+    engine.analyzeParse();
     engine.runStudentCode(function() {
+        if (engine.cancelled) {
+            engine.presentCancellation();
+            return;
+        }
         engine.runInstructorCode('give_feedback',false,  function(module) {
-            if (Sk.executionReports['instructor']['success']) {
+            model.execution.stoppable(false);
+            if (engine.cancelled) {
+                engine.presentCancellation();
+            } else if (Sk.executionReports['instructor']['success']) {
                 // SUCCESS, SCORE, CATEGORY, LABEL, MESSAGE, DATA, HIDE
                 console.log(module.$d);
                 var success = Sk.ffi.remapToJs(module.$d.SUCCESS);
@@ -299,11 +664,15 @@ BlockPyEngine.prototype.on_run = function(afterwards) {
                 var data = Sk.ffi.remapToJs(module.$d.DATA);
                 var hide = Sk.ffi.remapToJs(module.$d.HIDE);
                 var line = engine.lookForLines(data);
+                var unitTests = Sk.executionReports['instructor']['unit_tests'];
                 feedback.presentFeedback(category, label, message, line);
+                feedback.presentUnitTests(unitTests);
                 if (!feedback.isFeedbackVisible()) {
                     engine.main.components.toolbar.notifyFeedbackUpdate();
                     feedback.scrollIntoView();
                 }
+                // Passing some of the unit tests earns partial credit
+                score = Math.max(score, feedback.scoreUnitTests(unitTests));
                 score = Math.max(0.0, Math.min(1.0, score));
                 var old_status = model.settings.completion_status();
                 model.settings.completion_status(Math.max(old_status, score));
@@ -326,7 +695,8 @@ BlockPyEngine.prototype.on_run = function(afterwards) {
             }
         });
     });
-    this.main.components.server.logEvent('engine', 'on_run')
+    this.main.components.server.logEvent('engine', 'on_run',
+                                         JSON.stringify({'random_seed': this.executionBuffer.random_seed}));
 }
 /**
  * Activated whenever the Python code changes
@@ -443,7 +813,11 @@ BlockPyEngine.prototype.updateParse = function() {
 }
 
 /**
- * Run the abstract interpreter
+ * Run each of the assignment's analyzers (see BlockPyEngine.ANALYZERS) on
+ * the parsed code. Every analyzer's results are kept under its name in
+ * the "analyzers" part of the report, and all of their issues are also
+ * combined together in the "issues" part. An analyzer that crashes does not
+ * stop the others from running, but does make the report unsuccessful.
  */
 BlockPyEngine.prototype.analyzeParse = function() {
     this.main.model.execution.status("analyzing");
@@ -456,22 +830,122 @@ BlockPyEngine.prototype.analyzeParse = function() {
         return false;
     }
     var ast = report['parser']['ast'];
-    try {
-        this.abstractInterpreter.processAst(ast);
-    } catch (error) {
-        report['analyzer'] = {
-            'success': false,
-            'error': error
+    var code = this.main.model.programs['__main__']();
+    var analyzer = this.runAnalyzers(ast, code);
+    report['analyzer'] = analyzer;
+    return analyzer.success;
+}
+
+/**
+ * Collects the analyzers that the assignment runs: each registered analyzer
+ * that it has chosen, and then its own check (if it has one) under the name
+ * BlockPyEngine.ASSIGNMENT_ANALYZER.
+ *
+ * @returns {Array} Objects with the "name" and "analyze" function of each.
+ */
+BlockPyEngine.prototype.getAnalyzers = function() {
+    var analyzers = [];
+    this.main.model.assignment.analyzers().forEach(function(name) {
+        if (name in BlockPyEngine.ANALYZERS) {
+            analyzers.push({'name': name, 'analyze': BlockPyEngine.ANALYZERS[name]});
         }
-        return false;
+    });
+    var source = this.main.model.assignment.analyzer_code();
+    if (source.trim() !== '') {
+        analyzers.push({'name': BlockPyEngine.ASSIGNMENT_ANALYZER,
+                        'analyze': this.compileAnalyzer(source)});
+    }
+    return analyzers;
+}
+
+/**
+ * Turns an assignment's own check into an analyzer. The source is the body
+ * of a function that is given the "ast" and "code" of the students' program,
+ * and returns what any other analyzer would (see BlockPyEngine.ANALYZERS).
+ * The last compiled check is kept, since analysis happens after every edit.
+ * If the source is not valid JavaScript, the analyzer just raises the error.
+ *
+ * @param {String} source - The body of the analyzer function.
+ * @returns {Function} The analyzer.
+ */
+BlockPyEngine.prototype.compileAnalyzer = function(source) {
+    if (this.compiledAnalyzer_ === undefined || this.compiledAnalyzer_.source !== source) {
+        var analyze;
+        try {
+            analyze = new Function('ast', 'code', source);
+        } catch (error) {
+            analyze = function() { throw error; };
+        }
+        this.compiledAnalyzer_ = {'source': source, 'analyze': analyze};
     }
-    report['analyzer'] = {
+    return this.compiledAnalyzer_.analyze;
+}
+
+/**
+ * Runs each of the assignment's analyzers on some parsed code, without
+ * touching the execution reports.
+ *
+ * @param {Object} ast - The parsed code.
+ * @param {String} code - The code itself.
+ * @returns {Object} The combined results (see BlockPyEngine.analyzeParse).
+ */
+BlockPyEngine.prototype.runAnalyzers = function(ast, code) {
+    var analyzer = {
         'success': true,
-        'variables': this.abstractInterpreter.report.topLevelVariables,
-        'behavior': this.abstractInterpreter.report.variables,
-        'issues': this.abstractInterpreter.report.issues
+        'analyzers': {},
+        'issues': {}
+    };
+    var analyzers = this.getAnalyzers();
+    for (var i = 0; i < analyzers.length; i++) {
+        var name = analyzers[i].name;
+        var result;
+        try {
+            result = analyzers[i].analyze(ast, code);
+        } catch (error) {
+            console.error(name, error);
+            if (analyzer.success) {
+                analyzer.success = false;
+                analyzer.error = error;
+            }
+            analyzer.analyzers[name] = {'success': false, 'error': error};
+            continue;
+        }
+        if (result === null) {
+            continue;
+        }
+        result.success = true;
+        analyzer.analyzers[name] = result;
+        for (var issue in result.issues) {
+            analyzer.issues[issue] = (analyzer.issues[issue] || []).concat(result.issues[issue]);
+        }
+        if (analyzer.variables === undefined && result.variables !== undefined) {
+            analyzer.variables = result.variables;
+            analyzer.behavior = result.behavior;
+        }
     }
-    return true;
+    // Every issue gets a code and severity, even from analyzers that don't add them
+    analyzer.issue_list = AnalyzerIssues.structureAll(analyzer.issues);
+    return analyzer;
+}
+
+/**
+ * Quietly analyzes the student's code while they are still editing it, so
+ * that issues can be shown in the editor. Unlike a run, this doesn't touch
+ * the execution reports or status.
+ *
+ * @returns {Object} The combined results of the analyzers, or null if the
+ *                   code couldn't be parsed.
+ */
+BlockPyEngine.prototype.analyzeInBackground = function() {
+    var FILENAME = '__main__';
+    var code = this.main.model.programs[FILENAME]();
+    try {
+        var parse = Sk.parse(FILENAME, code);
+        var ast = Sk.astFromParse(parse.cst, FILENAME, parse.flags);
+    } catch (error) {
+        return null;
+    }
+    return this.runAnalyzers(ast, code);
 }
 
 /**
@@ -484,39 +958,405 @@ BlockPyEngine.prototype.runStudentCode = function(after) {
     // Prepare execution
     this.resetExecution();
     this.setStudentEnvironment();
+    if (this.canUseWorker()) {
+        this.runStudentCodeInWorker(after);
+        return;
+    }
     // Actually run the python code
     var filename = '__main__';
     var code = this.main.model.programs[filename]();
     Sk.misceval.asyncToPromise(function() {
         return Sk.importMainWithBody(filename, false, code, true);
-    }).then(
+    }, this.suspensionHandlers({'Sk.debug': this.onDebugSuspension.bind(this)})).then(
         // Success
         function (module) {
             Sk.afterSingleExecution(module.$d, -1, 0, filename+".py");
-            engine.lastStep();
-            report['student'] = {
-                'success': true,
-                'trace': engine.executionBuffer.trace,
-                'lines': engine.executionBuffer.trace.map(x => x.line),
-                'module': module,
-                'output': engine.main.model.execution.output
-            }
-            after();
-            engine.executionEnd_();
+            engine.studentCodeSucceeded(module, after);
         },
         // Failure
         function (error) {
-            report['student'] = {
-                'success': false,
-                'error': error,
-            }
-            console.error(error);
-            after();
-            engine.executionEnd_();
+            engine.studentCodeFailed(error, after);
         }
     );
 }
 
+/**
+ * Fills in the student report after their code finished without error.
+ *
+ * @param {Sk.builtin.module} module - The student's module, or undefined if
+ *                                     it ran in a Web Worker and could not
+ *                                     be recreated.
+ * @param {Function} after - Called once the report is ready.
+ */
+BlockPyEngine.prototype.studentCodeSucceeded = function(module, after) {
+    var report = this.main.model.execution.reports;
+    this.lastStep();
+    report['student'] = {
+        'success': true,
+        'trace': this.executionBuffer.trace,
+        'lines': this.executionBuffer.trace.map(x => x.line),
+        'module': module,
+        'output': this.main.model.execution.output,
+        'printed': this.executionBuffer.printed,
+        'random_seed': this.executionBuffer.random_seed,
+        'files': this.writtenFiles
+    }
+    after();
+    this.executionEnd_();
+}
+
+/**
+ * Fills in the student report after their code raised an error.
+ *
+ * @param {Object} error - The Skulpt exception that was raised.
+ * @param {Function} after - Called once the report is ready.
+ */
+BlockPyEngine.prototype.studentCodeFailed = function(error, after) {
+    var report = this.main.model.execution.reports;
+    report['student'] = {
+        'success': false,
+        'error': error,
+        'cancelled': this.cancelled,
+        // The trace up until the error
+        'trace': this.executionBuffer.trace,
+        'printed': this.executionBuffer.printed,
+        'random_seed': this.executionBuffer.random_seed,
+        'files': this.writtenFiles
+    }
+    console.error(error);
+    after();
+    this.executionEnd_();
+}
+
+/**
+ * Determines whether the student's code can be run in a Web Worker, which
+ * is preferred so that a runaway program cannot freeze the page. This
+ * requires the browser to support workers and BlockPy to be told where the
+ * worker script and Skulpt live. The worker cannot pause or draw, so the
+ * program stays on the main thread when there are breakpoints or when it
+ * imports a module that draws.
+ */
+BlockPyEngine.prototype.canUseWorker = function() {
+    var constants = this.main.model.constants;
+    var parser = this.main.model.execution.reports['parser'];
+    return typeof Worker !== 'undefined' &&
+           constants.workerPath !== undefined &&
+           constants.skulptPaths !== undefined &&
+           this.main.model.execution.breakpoints().length == 0 &&
+           parser !== undefined && parser.success &&
+           !this.usesDrawingModules(parser.ast);
+}
+
+/**
+ * Modules that draw on the page, which a Web Worker cannot do.
+ */
+BlockPyEngine.prototype.DRAWING_MODULES = ['matplotlib', 'turtle'];
+
+/**
+ * Determines whether the student's program imports a module that draws.
+ *
+ * @param {Object} ast - The student's parsed code.
+ * @returns {Boolean}
+ */
+BlockPyEngine.prototype.usesDrawingModules = function(ast) {
+    var drawing = this.DRAWING_MODULES;
+    return this.containsNode(ast, function(node) {
+        var modules = [];
+        if (node._astname == 'Import') {
+            modules = node.names.map(function(alias) { return alias.name.v; });
+        } else if (node._astname == 'ImportFrom' && node.module !== null) {
+            modules = [node.module.v];
+        }
+        return modules.some(function(module) {
+            return drawing.indexOf(module.split('.')[0]) != -1;
+        });
+    });
+}
+
+/**
+ * Searches an AST for a node that passes a test.
+ *
+ * @param {Object} node - The node to search, including itself.
+ * @param {Function} test - Given each node, returns whether it is the one.
+ * @returns {Boolean} Whether any node passed.
+ */
+BlockPyEngine.prototype.containsNode = function(node, test) {
+    return test(node) || iter_child_nodes(node).some(function(child) {
+        return this.containsNode(child, test);
+    }, this);
+}
+
+/**
+ * Run the student code in a Web Worker (see engine_worker.js), relaying its
+ * output, plots and input requests to the printer as they happen.
+ *
+ * @param {Function} after - Called once the student report is ready.
+ */
+BlockPyEngine.prototype.runStudentCodeInWorker = function(after) {
+    // A previous run that never finished has to be thrown away
+    if (this.workerAfter !== null) {
+        this.worker.terminate();
+        this.worker = null;
+    }
+    if (this.worker === null) {
+        this.worker = new Worker(this.main.model.constants.workerPath);
+    }
+    var engine = this;
+    this.worker.onmessage = function(event) {
+        engine.onWorkerMessage(event.data);
+    };
+    this.workerAfter = after;
+    this.worker.postMessage({
+        'type': 'run',
+        // The worker would resolve them relative to its own script
+        'scripts': this.main.model.constants.skulptPaths.map(function(path) {
+            return new URL(path, document.baseURI).href;
+        }),
+        'code': this.main.model.programs['__main__'](),
+        'timeout': Sk.execLimit,
+        'step_limit': this.stepLimit,
+        'trace_off': this.main.model.settings.trace_off(),
+        'debugging': Sk.debugging,
+        'random_seed': this.executionBuffer.random_seed,
+        'random_module': {'file': BlockPyEngine.RANDOM_MODULE_FILE,
+                          'seeding': this.SEED_RANDOM_MODULE},
+        'files': this.collectFiles()
+    });
+}
+
+/**
+ * Gathers every file the student's code might open, since the worker
+ * cannot look at the page or the server itself.
+ *
+ * @returns {Object} A mapping of filenames to their contents.
+ */
+BlockPyEngine.prototype.collectFiles = function() {
+    var files = {};
+    for (var name in this.openedFiles) {
+        files[name] = this.openedFiles[name];
+    }
+    var prefix = Sk.openFilenamePrefix || "";
+    $("[id^='"+prefix+"']").each(function() {
+        var name = this.id.slice(prefix.length);
+        files[name] = this.nodeName.toLowerCase() == "textarea" ? this.value : this.textContent;
+    });
+    for (var name in this.writtenFiles) {
+        files[name] = this.writtenFiles[name];
+    }
+    return files;
+}
+
+/**
+ * Handles a message from the Web Worker running the student's code.
+ *
+ * @param {Object} message - A message as described in engine_worker.js.
+ */
+BlockPyEngine.prototype.onWorkerMessage = function(message) {
+    var printer = this.main.components.printer;
+    var buffer = this.executionBuffer;
+    if (message.step !== undefined) {
+        buffer.step = message.step;
+    }
+    if (message.line !== undefined) {
+        buffer.current_line = message.line;
+    }
+    switch (message.type) {
+        case 'print':
+            printer.print(message.text);
+            break;
+        case 'plot':
+            printer.recordOutput(message.value);
+            break;
+        case 'input':
+            var worker = this.worker;
+            Promise.resolve(this.inputFunction(message.prompt)).then(function(value) {
+                worker.postMessage({'type': 'input', 'value': value});
+            });
+            break;
+        case 'done': case 'error':
+            for (var name in message.written) {
+                this.storeFile(name, message.written[name]);
+            }
+            buffer.trace = message.trace;
+            buffer.last_step = message.step;
+            buffer.line_number = message.line_number;
+            var after = this.workerAfter;
+            this.workerAfter = null;
+            if (message.type == 'done') {
+                var engine = this;
+                this.rebuildStudentModule(message.globals, function(module) {
+                    engine.studentCodeSucceeded(module, after);
+                });
+            } else {
+                this.studentCodeFailed(this.rebuildError(message.error), after);
+            }
+            break;
+    }
+}
+
+/**
+ * Recreates the student's module on the main thread after their code ran in
+ * a Web Worker, so that instructor code can look at their data and call
+ * their functions. Only the definitions at the top level of their code (see
+ * extractDefinitions) are run again, and then the global variables that
+ * are plain data get the values that the worker sent back (see
+ * BlockPyTrace.packGlobals). Anything else, like objects made from their
+ * classes, is left out.
+ *
+ * @param {Object} globals - The packed global variables from the worker.
+ * @param {Function} after - Called with the module, or with undefined if it
+ *                           could not be recreated.
+ */
+BlockPyEngine.prototype.rebuildStudentModule = function(globals, after) {
+    var code = this.extractDefinitions(this.main.model.programs['__main__'](),
+                                       this.main.model.execution.reports['parser'].ast);
+    // The definitions already ran once, so they are not traced or shown again
+    var saved = {'output': Sk.output, 'inputfun': Sk.inputfun,
+                 'afterSingleExecution': Sk.afterSingleExecution,
+                 'debugging': Sk.debugging};
+    Sk.output = function() {};
+    Sk.inputfun = function() { return ""; };
+    Sk.afterSingleExecution = null;
+    Sk.debugging = false;
+    var restore = function() {
+        Sk.output = saved.output;
+        Sk.inputfun = saved.inputfun;
+        Sk.afterSingleExecution = saved.afterSingleExecution;
+        Sk.debugging = saved.debugging;
+    };
+    Sk.misceval.asyncToPromise(function() {
+        return Sk.importMainWithBody('__main__', false, code, true);
+    }, this.suspensionHandlers()).then(function(module) {
+        restore();
+        for (var name in globals) {
+            module.$d[name] = BlockPyTrace.unpackValue(globals[name]);
+        }
+        after(module);
+    }, function(error) {
+        restore();
+        console.error(error);
+        after(undefined);
+    });
+}
+
+/**
+ * Blanks out every line of the student's code except for the functions,
+ * classes and imports at its top level, keeping the line numbers the same.
+ *
+ * @param {String} code - The student's code.
+ * @param {Object} ast - The student's parsed code.
+ * @returns {String} The definitions.
+ */
+BlockPyEngine.prototype.extractDefinitions = function(code, ast) {
+    var lines = code.split(NEW_LINE_REGEX);
+    var kept = lines.map(function() { return ''; });
+    var body = ast.body;
+    // Decorators come before the line of the definition itself
+    var starts = body.map(function(statement) {
+        return (statement.decorator_list || []).reduce(function(line, decorator) {
+            return Math.min(line, decorator.lineno);
+        }, statement.lineno);
+    });
+    body.forEach(function(statement, i) {
+        if (['FunctionDef', 'ClassDef', 'Import', 'ImportFrom'].indexOf(statement._astname) == -1) {
+            return;
+        }
+        var end = i+1 < body.length ? starts[i+1]-1 : lines.length;
+        for (var line = starts[i]; line <= end; line++) {
+            kept[line-1] = lines[line-1];
+        }
+    });
+    return kept.join('\n');
+}
+
+/**
+ * Recreates a Skulpt exception that was flattened by the Web Worker.
+ *
+ * @param {Object} error - The exception's "name", "args" and "traceback".
+ * @returns {Object} The Skulpt exception.
+ */
+BlockPyEngine.prototype.rebuildError = function(error) {
+    var ErrorType = Sk.builtin[error.name];
+    if (ErrorType === undefined) {
+        ErrorType = Sk.builtin.Exception;
+    }
+    var exception = ErrorType.apply(null, error.args);
+    exception.traceback = error.traceback;
+    return exception;
+}
+
+/**
+ * Terminates the Web Worker running the student's code, reporting it as
+ * cancelled. A fresh worker is created for the next run.
+ */
+BlockPyEngine.prototype.stopWorker = function() {
+    if (this.worker === null || this.workerAfter === null) {
+        return;
+    }
+    this.worker.terminate();
+    this.worker = null;
+    var after = this.workerAfter;
+    this.workerAfter = null;
+    this.lastStep();
+    this.studentCodeFailed(this.cancellationError(), after);
+}
+
+/**
+ * Asks the current run (student or instructor) to stop. Code running on the
+ * main thread notices at its next suspension; a Web Worker is simply
+ * terminated; a paused program is woken up so that it can stop.
+ */
+BlockPyEngine.prototype.stop = function() {
+    if (!this.main.model.execution.stoppable() || this.cancelled) {
+        return;
+    }
+    this.cancelled = true;
+    this.main.components.server.logEvent('engine', 'stop');
+    if (this.workerAfter !== null) {
+        this.stopWorker();
+    } else if (this.resumeExecution_ !== null) {
+        this.resumeExecution('run');
+    }
+}
+
+/**
+ * Adds the handlers that every run needs to the given suspension handlers.
+ * Skulpt periodically yields (see yieldLimit), and that is when a request
+ * to stop is noticed.
+ *
+ * @param {Object} handlers - Maps suspension types to handler functions.
+ * @returns {Object} The handlers, for Sk.misceval.asyncToPromise.
+ */
+BlockPyEngine.prototype.suspensionHandlers = function(handlers) {
+    var engine = this;
+    handlers = handlers || {};
+    handlers['Sk.yield'] = function() {
+        if (engine.cancelled) {
+            return Promise.reject(engine.cancellationError());
+        }
+        // Otherwise, let Skulpt resume as usual
+        return undefined;
+    };
+    return handlers;
+}
+
+/**
+ * Creates the exception that ends a run that was stopped by the user.
+ */
+BlockPyEngine.prototype.cancellationError = function() {
+    return new Sk.builtin.SystemExit("Cancelled by the user");
+}
+
+/**
+ * Shows that the run was stopped, and where.
+ */
+BlockPyEngine.prototype.presentCancellation = function() {
+    var execution = this.main.model.execution;
+    execution.stoppable(false);
+    execution.status("cancelled");
+    this.main.components.feedback.presentCancellation(this.executionBuffer.line_number);
+}
+
 var NEW_LINE_REGEX = /\r\n|\r|\n/;
 
 /**
@@ -534,7 +1374,7 @@ BlockPyEngine.prototype.runInstructorCode = function(filename, quick, after) {
     if (!report['parser'].success || !report['verifier'].success) {
         studentCodeSafe = 'pass';
     }
-    Sk.builtinFiles.files['src/lib/pedal/sandbox/sandbox.py'] = 'class Sandbox: pass\ndef run(): pass\ndef reset(): pass\n';
+    Sk.builtinFiles.files[BlockPyEngine.SANDBOX_MODULE_FILE] = $INSTRUCTOR_MODULES_EXTENDED[BlockPyEngine.SANDBOX_MODULE_NAME];
     var instructorCode = this.main.model.programs[filename]();
     var lineOffset = instructorCode.split(NEW_LINE_REGEX).length;
     instructorCode = (
@@ -580,11 +1420,13 @@ BlockPyEngine.prototype.runInstructorCode = function(filename, quick, after) {
         'compliments': [],
         'filename': filename+".py",
         'code': instructorCode,
+        'unit_tests': [],
+        'blocks': this.main.components.editor.getBlockTree(),
         //'complete': false // Actually, let's use undefined for now.
     };
     Sk.misceval.asyncToPromise(function() {
         return Sk.importMainWithBody(filename, false, instructorCode, true);
-    }).then(
+    }, this.suspensionHandlers()).then(
         // Success
         function (module) {
             report['instructor']['success'] = true;
@@ -594,6 +1436,10 @@ BlockPyEngine.prototype.runInstructorCode = function(filename, quick, after) {
         function (error) {
             if (error.tp$name === 'GracefulExit') {
                 report['instructor']['success'] = true;
+            } else if (engine.cancelled) {
+                report['instructor']['success'] = false;
+                report['instructor']['cancelled'] = true;
+                report['instructor']['error'] = error;
             } else {
                 console.log(report['instructor']['code']);
                 console.error(error);
@@ -607,148 +1453,6 @@ BlockPyEngine.prototype.runInstructorCode = function(filename, quick, after) {
 }
 
 
-/**
- * Consume a set of variables traced from the execution and parse out any
- * global variables and modules.
- *
- * @param {Object} variables - a mapping of variable names to their Skupt value.
- */
-BlockPyEngine.prototype.parseGlobals = function(variables) {
-    var result = [];
-    var modules = [];
-    if (!this.main.model.settings.trace_off()) {
-        for (var property in variables) {
-            var value = variables[property];
-            if (property !== "__name__" && 
-                property !== "__doc__" && 
-                property !== "__package__") {
-                property = property.replace('_$rw$', '')
-                                   .replace('_$rn$', '');
-                var parsed = {"name": property, "type": "Unknown",
-                              "value": value.toString()};
-                try {
-                    parsed = this.parseValue(property, value);
-                } catch {
-                    // Can't really do anything
-                }
-                if (parsed !== null) {
-                    result.push(parsed);
-                } else if (value.constructor == Sk.builtin.module) {
-                    modules.push(value.$d.__name__.v);
-                }
-            }
-        }
-    }
-    return {"properties": result, "modules": modules};
-}
-
-/**
- * Convert a Skulpt value into a more easily printable object.
- * 
- * @param {String} property
- * @param {Object} value - the skulpt value
- */
-BlockPyEngine.prototype.parseValue = function(property, value) {
-    if (value == undefined) {
-        return {'name': property,
-                'type': 'Unknown',
-                "value": 'Undefined'
-                };
-    }
-    switch (value.constructor) {
-        case Sk.builtin.func:
-            return {'name': property,
-                    'type': "Function",
-                    "value":  
-                        (value.func_code.co_varnames !== undefined ?
-                         " Arguments: "+value.func_code.co_varnames.join(", ") :
-                         ' No arguments')
-                    };
-        case Sk.builtin.module: return null;
-        case Sk.builtin.str:
-            if (value.sq$length <= 2000) {
-                return {'name': property,
-                    'type': "String",
-                    "value": value.$r().v
-                };
-            } else {
-                return {'name': property,
-                    'type': "String",
-                    "value": "["+value.sq$length()+" characters not shown]"
-                };
-            }
-        case Sk.builtin.none:
-            return {'name': property,
-                'type': "None",
-                "value": "None"
-            };
-        case Sk.builtin.bool:
-            return {'name': property,
-                'type': "Boolean",
-                "value": value.$r().v
-            };
-        case Sk.builtin.nmber:
-            return {'name': property,
-                'type': "int" == value.skType ? "Integer": "Float",
-                "value": value.$r().v
-            };
-        case Sk.builtin.int_:
-            return {'name': property,
-                'type': "Integer",
-                "value": value.$r().v
-            };
-        case Sk.builtin.float_:
-            return {'name': property,
-                'type': "Float",
-                "value": value.$r().v
-            };
-        case Sk.builtin.tuple:
-            return {'name': property,
-                'type': "Tuple",
-                "value": value.$r().v
-            };
-        case Sk.builtin.list:
-            if (value.v.length <= 20) {
-                return {'name': property,
-                    'type': "List",
-                    "value": value.$r().v,
-                    'exact_value': value
-                };
-            } else {
-                return {'name': property,
-                    'type': "List",
-                    "value": "[... "+value.v.length+" elements ...]",
-                    "exact_value": value
-                };
-            }
-        case Sk.builtin.dict:
-            return {'name': property,
-                'type': "Dictionary",
-                "value": value.$r().v
-            };
-        case Number:
-            return {'name': property,
-                'type': value % 1 === 0 ? "Integer" : "Float",
-                "value": value
-            };
-        case String:
-            return {'name': property,
-                'type': "String",
-                "value": value
-            };
-        case Boolean:
-                return {'name': property,
-                    'type': "Boolean",
-                    "value": (value ? "True": "False")
-                };
-        default:
-            return {'name': property,
-                    'type': value.tp$name == undefined ? value : value.tp$name,
-                    "value": value.$r == undefined ? value : value.$r().v
-                    };
-    }
-}
-
 /**
  * Definable function to be run when execution has fully ended,
  * whether it succeeds or fails.
@@ -765,7 +1469,9 @@ BlockPyEngine.prototype.executionEnd_ = function() {
     }
 };
 
-Tifa = {};
+if (typeof Tifa === 'undefined') {
+    Tifa = {};
+}
 if (typeof exports !== 'undefined') {
     exports.BlockPyEngine = BlockPyEngine;
     //exports.AbstractInterpreter = Tifa;
@@ -0,0 +1,687 @@
+/*
+    This file should not be loaded in any production environments, since it's just for checking how the engine behaves when it runs programs (see engine_test.html).
+*/
+
+(function() {
+
+    /*
+        Creates just enough of a BlockPy instance for the engine to run code.
+        The printer is real (but not on the page), so that output and input
+        are recorded the same way they would be for a student. Each test can
+        change the "assignment", "settings" and "execution" parts of the
+        model by giving their new values, and the "blocks" in the editor
+        (see BlockPyEditor.getBlockTree).
+    */
+    function makeMain(test) {
+        var main = {
+            'pauses': [],
+            'components': {
+                'editor': {
+                    'triggerOnChange': 0,
+                    'getBlockTree': function() { return test.blocks || null; },
+                    'highlightLine': function(index) {
+                        main.pauses.push(index+1);
+                        if (test.onPause) {
+                            // The engine is still setting up the pause
+                            setTimeout(function() {
+                                test.onPause(main.components.engine, index+1, main.pauses.length);
+                            }, 0);
+                        }
+                    },
+                    'unhighlightLines': function() {}
+                },
+                'server': {
+                    'saveCode': function() {},
+                    'logEvent': function() {},
+                    'markSuccess': function() {},
+                    'loadFile': function(url, type, success, failure) { failure("no server"); }
+                },
+                'feedback': {
+                    'presentCancellation': function() {}
+                },
+                'toolbar': {
+                    'notifyFeedbackUpdate': function() {}
+                }
+            },
+            'model': {
+                'constants': {},
+                'assignment': {
+                    'analyzers': ko.observableArray([]),
+                    'analyzer_code': ko.observable(''),
+                    'files': ko.observableArray([]),
+                    'secret': ko.observable(false),
+                    'list_analyzer_issues': ko.observable(false),
+                    'student_time_limit': ko.observable(10),
+                    'student_step_limit': ko.observable(0),
+                    'instructor_time_limit': ko.observable(0),
+                    'instructor_step_limit': ko.observable(0),
+                    'random_seed': ko.observable('')
+                },
+                'programs': {
+                    '__main__': ko.observable(test.code),
+                    'give_feedback': ko.observable(test.feedback || ''),
+                    'on_change': ko.observable('')
+                },
+                'settings': {
+                    'trace_off': ko.observable(false),
+                    'disable_timeout': ko.observable(false),
+                    'mute_printer': ko.observable(false),
+                    'completion_status': ko.observable(0),
+                    'playback_delay': ko.observable('500')
+                },
+                'execution': {
+                    'status': ko.observable('waiting'),
+                    'step': ko.observable(0),
+                    'last_step': ko.observable(0),
+                    'output': ko.observableArray([]),
+                    'line_number': ko.observable(0),
+                    'trace': ko.observableArray([]),
+                    'trace_step': ko.observable(0),
+                    'show_trace': ko.observable(false),
+                    'playing': ko.observable(false),
+                    'written_files': ko.observableArray([]),
+                    'scripted_input': ko.observable(''),
+                    'stoppable': ko.observable(false),
+                    'breakpoints': ko.observableArray([]),
+                    'paused_line': ko.observable(null),
+                    'reports': {},
+                    'suppressions': {}
+                },
+                'status': {
+                    'error': ko.observable('none')
+                }
+            }
+        };
+        ['assignment', 'settings', 'execution'].forEach(function(part) {
+            var changes = test[part] || {};
+            for (var name in changes) {
+                main.model[part][name](changes[name]);
+            }
+        });
+        main.components.printer = new BlockPyPrinter(main, $("<div></div>"));
+        var printInput = main.components.printer.printInput;
+        var inputs = 0;
+        main.components.printer.printInput = function(promptMessage) {
+            var result = printInput.call(this, promptMessage);
+            inputs += 1;
+            if (test.onInput) {
+                // The engine has not filled in or listened to the box yet
+                var count = inputs;
+                setTimeout(function() {
+                    test.onInput(main.components.engine, result, count);
+                }, 0);
+            }
+            return result;
+        };
+        return main;
+    }
+
+    /*
+        Runs a test's student code and then its instructor code (if it has
+        any), the same way that clicking Run would. Resolves with the engine
+        once both are done.
+    */
+    function runTest(test) {
+        var main = makeMain(test);
+        var engine = new BlockPyEngine(main);
+        main.components.engine = engine;
+        return new Promise(function(resolve) {
+            main.model.execution.stoppable(true);
+            engine.cancelled = false;
+            engine.resetReports();
+            engine.verifyCode();
+            engine.updateParse();
+            engine.analyzeParse();
+            engine.runStudentCode(function() {
+                if (test.feedback === undefined) {
+                    resolve(engine);
+                } else {
+                    engine.runInstructorCode('give_feedback', false, function() {
+                        resolve(engine);
+                    });
+                }
+            });
+            if (test.onStart) {
+                test.onStart(engine);
+            }
+        });
+    }
+
+    /*
+        Creates an "onPause" that resumes the program with each of the given
+        modes in turn, and then lets it run to the end.
+    */
+    function resumeWith(modes) {
+        return function(engine, line, pauses) {
+            engine.resumeExecution(modes[pauses-1] || 'run');
+        };
+    }
+
+    /*
+        Checks the lines that the program paused at, in order.
+    */
+    function pausedAt(lines) {
+        return function(engine) {
+            var pauses = engine.main.pauses;
+            if (JSON.stringify(pauses) != JSON.stringify(lines)) {
+                return ["paused at "+JSON.stringify(pauses)+" instead of "+JSON.stringify(lines)];
+            }
+            return [];
+        };
+    }
+
+    /*
+        Maps the names of the global variables at a step of the trace to
+        their values, as they would be shown in the trace table.
+    */
+    function variablesAt(step) {
+        var variables = {};
+        step.properties.forEach(function(property) {
+            variables[property.name] = property.value;
+        });
+        return variables;
+    }
+
+    /*
+        Checks that a run ended because it went over one of its limits.
+    */
+    function exceededLimit(report, description) {
+        var error = report.error;
+        if (!error || error.tp$name != 'TimeLimitError') {
+            return ["the run was not stopped by its limit: "+error];
+        }
+        var message = Sk.ffi.remapToJs(error.args)[0] || '';
+        if (message.indexOf(description) == -1) {
+            return ["the run was stopped with \""+message+"\" instead of the "+description];
+        }
+        return [];
+    }
+
+    /*
+        An analyzer that always crashes, to check that the others still run.
+    */
+    BlockPyEngine.registerAnalyzer('engine_tests_crash', function(ast, code) {
+        throw new Error("This analyzer always crashes");
+    });
+
+    /*
+        Each test has a name, the student's "code", and optionally the
+        instructor's "feedback" code, changes to the model (see makeMain),
+        "onStart", which is called once the student's code has started, and
+        "onPause", which is called whenever the program pauses, and
+        "onInput", which is called with each input box the printer makes.
+        Instructor code can use assert to check what it sees. Unless the
+        test "expects" something else, the student's code and the
+        instructor's code both have to succeed. A "check" is then given
+        the engine and returns a list of what went wrong (or a promise of
+        one).
+    */
+    var engine_tests = [
+        {'name': 'Sandbox calls are isolated, with mocks, input, output and a time limit',
+         'code': 'import random\nimport matplotlib.pyplot as plt\ncount = 0\n'+
+                 'def greet(times):\n    global count\n    count += 1\n'+
+                 '    name = input("Name? ")\n    for i in range(times):\n'+
+                 '        print("Hello " + name)\n    return count\n'+
+                 'def roll():\n    return random.randint(1, 6)\n'+
+                 'def show():\n    return plt.show()\n'+
+                 'def ask():\n    return input()\n'+
+                 'def forever():\n    while True:\n        pass\n',
+         'feedback': 'from pedal.sandbox.sandbox import Sandbox\n'+
+                     'sandbox = Sandbox(time_limit=0.5)\n'+
+                     'sandbox.queue_input("Ada")\n'+
+                     'assert sandbox.call("greet", 2) == 1\n'+
+                     'assert sandbox.output == ["Hello Ada", "Hello Ada"], sandbox.output\n'+
+                     'assert sandbox.call("greet", 1) == 1, "count leaked from the last call"\n'+
+                     'assert sandbox.output == ["Hello "], "input leaked from the last call"\n'+
+                     'sandbox.mock("random.randint", lambda low, high: low)\n'+
+                     'assert sandbox.call("roll") == 1\n'+
+                     'sandbox.unmock("random.randint")\n'+
+                     'sandbox.mock("matplotlib.pyplot.show", lambda: "shown")\n'+
+                     'assert sandbox.call("show") == "shown"\n'+
+                     'sandbox.mock("input", lambda prompt="": "mocked")\n'+
+                     'assert sandbox.call("ask") == "mocked"\n'+
+                     'assert sandbox.call("forever") is None\n'+
+                     'assert sandbox.timed_out\n'+
+                     'assert sandbox.exception is not None\n'+
+                     'assert sandbox.call("roll") in range(1, 7)\n'+
+                     'assert not sandbox.timed_out and sandbox.exception is None\n'},
+        {'name': 'Unit tests compare floats, errors and output, and keep the students\' output',
+         'code': 'def average(numbers):\n    print("Averaging", len(numbers))\n'+
+                 '    return sum(numbers) / len(numbers)\n'+
+                 'def forever():\n    while True:\n        pass\n'+
+                 'print("Done")\n',
+         'feedback': 'from instructor_functions import *\n'+
+                     'results = run_unit_tests("average",\n'+
+                     '    ([1, 2], 1.5),\n'+
+                     '    ([1, 2, 2], 1.6667),\n'+
+                     '    ([1, 2, 2], 1.6),\n'+
+                     '    {"arguments": [[]], "error": "ZeroDivisionError"},\n'+
+                     '    {"arguments": [[]], "expected": 0},\n'+
+                     '    {"arguments": [[4]], "expected": 4, "output": ["Averaging 1"]},\n'+
+                     '    {"arguments": [[4]], "output": ["Averaging 4"]})\n'+
+                     'passed = [result["passed"] for result in results]\n'+
+                     'assert passed == [True, True, False, True, False, True, False], passed\n'+
+                     'assert results[0]["output"] == ["Averaging 2"], results[0]["output"]\n'+
+                     'assert results[3]["error"].__class__.__name__ == "ZeroDivisionError"\n'+
+                     'assert get_output() == ["Done"], "the students\' output was lost"\n'+
+                     'results = run_unit_tests("forever", {"arguments": []}, timeout=0.2)\n'+
+                     'assert results[0]["timed_out"] and not results[0]["passed"]\n'+
+                     'assert get_output() == ["Done"], "the students\' output was lost"\n'+
+                     'results = run_unit_tests("missing", ([1], 1))\n'+
+                     'assert not results[0]["passed"]\n',
+         'check': function(engine) {
+             var score = BlockPyFeedback.prototype.scoreUnitTests;
+             var tests = engine.main.model.execution.reports.instructor.unit_tests;
+             var problems = [];
+             // 4 of the 7 average cases, and none of the others
+             if (Math.abs(score(tests) - 4/9) > 1e-9) {
+                 problems.push("partial credit was "+score(tests));
+             }
+             if (score([]) !== 0) {
+                 problems.push("partial credit without tests was "+score([]));
+             }
+             return problems;
+         }},
+        // Breakpoints and stepping
+        {'name': 'Pauses at a breakpoint',
+         'code': 'a = 1\nb = 2\nc = 3\n',
+         'execution': {'breakpoints': [2]},
+         'onPause': function(engine, line) {
+             var execution = engine.main.model.execution;
+             if (execution.paused_line() == 2 && execution.show_trace()) {
+                 engine.resumeExecution('run');
+             }
+         },
+         'check': pausedAt([2])},
+        {'name': 'Stepping into a call pauses inside it, and stepping over a call does not',
+         'code': 'def double(x):\n    y = x * 2\n    return y\n'+
+                 'a = double(1)\nb = double(2)\n',
+         'execution': {'breakpoints': [4]},
+         'onPause': resumeWith(['into', 'over', 'over', 'over']),
+         'check': pausedAt([4, 2, 3, 5])},
+        {'name': 'Stepping over from a breakpoint pauses at the next line',
+         'code': 'def double(x):\n    y = x * 2\n    return y\n'+
+                 'a = double(1)\nb = double(2)\n',
+         'execution': {'breakpoints': [4]},
+         'onPause': resumeWith(['over']),
+         'check': pausedAt([4, 5])},
+        {'name': 'Stopping a paused program cancels it',
+         'code': 'a = 1\nb = 2\nc = 3\n',
+         'execution': {'breakpoints': [2]},
+         'onPause': function(engine) {
+             engine.stop();
+         },
+         'expects': {'student': false},
+         'check': function(engine) {
+             var problems = pausedAt([2])(engine);
+             var student = engine.main.model.execution.reports.student;
+             if (!student.cancelled) {
+                 problems.push("the run was not cancelled: "+student.error);
+             }
+             if (engine.resumeExecution_ !== null || engine.main.model.execution.paused_line() !== null) {
+                 problems.push("the program is still paused");
+             }
+             var reachedLine3 = student.trace.some(function(step) {
+                 return step.line == 3;
+             });
+             if (reachedLine3) {
+                 problems.push("the program kept running after it was stopped");
+             }
+             return problems;
+         }},
+        // The trace
+        {'name': 'Every step of the trace has its line and the variables before it ran',
+         'code': 'a = 1\nb = a + 1\na = b * 3\n',
+         'check': function(engine) {
+             var problems = [];
+             var execution = engine.main.model.execution;
+             var trace = execution.trace();
+             var lines = trace.map(function(step) { return step.line; });
+             if (JSON.stringify(lines) != JSON.stringify([1, 2, 3, -1])) {
+                 problems.push("the trace has the lines "+JSON.stringify(lines));
+                 return problems;
+             }
+             var expected = [{}, {'a': '1'}, {'a': '1', 'b': '2'}, {'a': '6', 'b': '2'}];
+             trace.forEach(function(step, i) {
+                 var variables = variablesAt(step);
+                 if (JSON.stringify(variables) != JSON.stringify(expected[i])) {
+                     problems.push("step "+i+" has the variables "+JSON.stringify(variables));
+                 }
+             });
+             if (execution.last_step() < trace.length-1) {
+                 problems.push("the last step is "+execution.last_step());
+             }
+             return problems;
+         }},
+        {'name': 'Playing back the trace reveals the output one step at a time',
+         'code': 'print(1)\nprint(2)\nprint(3)\n',
+         'settings': {'playback_delay': '1'},
+         'check': function(engine) {
+             var main = engine.main;
+             var execution = main.model.execution;
+             var printer = main.components.printer;
+             // What the feedback area needs from the rest of BlockPy
+             main.model.current_trace = ko.pureComputed(function() {
+                 return execution.trace()[Math.min(execution.trace().length-1, execution.trace_step())];
+             });
+             main.components.editor.blockly = {'highlightBlock': function() {}};
+             new BlockPyFeedback(main, $("<div></div>"));
+             var shown = [];
+             var stepPrinter = printer.stepPrinter;
+             printer.stepPrinter = function(step) {
+                 stepPrinter.call(printer, step);
+                 var count = printer.tag.find('.blockpy-printer-output').filter(function() {
+                     return this.style.display != 'none';
+                 }).length;
+                 if (shown[shown.length-1] !== count) {
+                     shown.push(count);
+                 }
+             };
+             return new Promise(function(resolve) {
+                 execution.playing.subscribe(function(playing) {
+                     if (!playing) {
+                         resolve();
+                     }
+                 });
+                 execution.playing(true);
+             }).then(function() {
+                 var problems = [];
+                 if (JSON.stringify(shown) != JSON.stringify([0, 1, 2, 3])) {
+                     problems.push("the printer showed "+JSON.stringify(shown)+" outputs as it played");
+                 }
+                 if (execution.trace_step() != execution.last_step()) {
+                     problems.push("playback stopped at step "+execution.trace_step());
+                 }
+                 return problems;
+             });
+         }},
+        {'name': 'Printed output is attributed to the step and line that printed it',
+         'code': 'def show(x):\n    print(x)\nshow(1)\nprint(2)\n',
+         'feedback': 'printed = get_printed()\n'+
+                     'assert [p["output"] for p in printed] == ["1", "2"], printed\n'+
+                     'assert [p["line"] for p in printed] == [2, 4], printed\n'+
+                     'assert printed[0]["step"] < printed[1]["step"], printed\n'+
+                     'assert sorted(printed[0].keys()) == ["line", "output", "step"]\n',
+         'check': function(engine) {
+             var steps = engine.main.components.printer.tag.find('.blockpy-printer-output').map(function() {
+                 return $(this).attr('data-step');
+             }).get();
+             var printed = engine.main.model.execution.reports.student.printed.map(function(p) {
+                 return String(p.step);
+             });
+             if (JSON.stringify(steps) != JSON.stringify(printed)) {
+                 return ["the printer shows the steps "+JSON.stringify(steps)+
+                         " instead of "+JSON.stringify(printed)];
+             }
+             return [];
+         }},
+        // Stopping
+        {'name': 'Stopping a running program cancels it',
+         'code': 'count = 0\nwhile True:\n    count += 1\n',
+         'onStart': function(engine) {
+             setTimeout(function() { engine.stop(); }, 100);
+         },
+         'expects': {'student': false},
+         'check': function(engine) {
+             var student = engine.main.model.execution.reports.student;
+             if (!student.cancelled || student.error.tp$name != 'SystemExit') {
+                 return ["the run was not cancelled: "+student.error];
+             }
+             return [];
+         }},
+        {'name': 'Stopping the instructor\'s code cancels it',
+         'code': 'count = 0\n',
+         'feedback': 'while True:\n    pass\n',
+         'onStart': function(engine) {
+             setTimeout(function() { engine.stop(); }, 100);
+         },
+         'expects': {'instructor': false},
+         'check': function(engine) {
+             if (!engine.main.model.execution.reports.instructor.cancelled) {
+                 return ["the instructor's code was not cancelled"];
+             }
+             return [];
+         }},
+        // Limits
+        {'name': 'Student code is stopped at its step limit',
+         'code': 'total = 0\nfor i in range(100):\n    total += i\n',
+         'assignment': {'student_step_limit': 5},
+         'expects': {'student': false},
+         'check': function(engine) {
+             return exceededLimit(engine.main.model.execution.reports.student, 'limit of 5 steps');
+         }},
+        {'name': 'Student code is stopped at its time limit',
+         'code': 'while True:\n    pass\n',
+         'assignment': {'student_time_limit': 0.2},
+         'expects': {'student': false},
+         'check': function(engine) {
+             return exceededLimit(engine.main.model.execution.reports.student, 'run time limit');
+         }},
+        {'name': 'Instructor code is stopped at its step limit',
+         'code': 'count = 0\n',
+         'feedback': 'while True:\n    pass\n',
+         'assignment': {'instructor_step_limit': 200000},
+         'expects': {'instructor': false},
+         'check': function(engine) {
+             return exceededLimit(engine.main.model.execution.reports.instructor, 'limit of 200000 steps');
+         }},
+        // Input
+        {'name': 'Scripted input is used up before asking the user',
+         'code': 'first = input("First? ")\nsecond = input("Second? ")\n'+
+                 'third = input("Third? ")\nprint(first, second, third)\n',
+         'execution': {'scripted_input': 'Ada\nBob'},
+         'onInput': function(engine, result, count) {
+             if (count == 3) {
+                 result.input.val("Cy");
+                 result.button.click();
+             }
+         },
+         'check': function(engine) {
+             var errors = [];
+             var boxes = engine.main.components.printer.tag.find('input');
+             var answers = boxes.map(function() { return $(this).val(); }).get();
+             if (JSON.stringify(answers) != '["Ada","Bob","Cy"]') {
+                 errors.push("the input boxes had "+JSON.stringify(answers));
+             }
+             boxes.each(function(index) {
+                 if (!$(this).prop('disabled')) {
+                     errors.push("input box "+(index+1)+" can still be changed");
+                 }
+             });
+             var output = engine.main.model.execution.output().join('');
+             if (output.indexOf("Ada Bob Cy") == -1) {
+                 errors.push("printed "+JSON.stringify(output)+" instead of the answers");
+             }
+             if (engine.scriptedInput.length) {
+                 errors.push("scripted input was left over: "+engine.scriptedInput);
+             }
+             return errors;
+         }},
+        // Files
+        {'name': 'Files can be written, appended to, and read back',
+         'code': 'notes = open("notes.txt", "w")\nnotes.write("first\\n")\nnotes.close()\n'+
+                 'notes = open("notes.txt", "a")\nnotes.write("second\\n")\nnotes.close()\n'+
+                 'contents = open("notes.txt").read()\n'+
+                 'try:\n    open("missing.txt")\n    missing = False\n'+
+                 'except IOError:\n    missing = True\n',
+         'feedback': 'files = get_written_files()\n'+
+                     'assert files == {"notes.txt": "first\\nsecond\\n"}, files\n'+
+                     'log = open("log.txt", "w")\nlog.write("checked")\nlog.close()\n'+
+                     'assert open("log.txt").read() == "checked"\n'+
+                     'assert "log.txt" not in get_written_files(), "instructor files were shown"\n',
+         'check': function(engine) {
+             var errors = [];
+             var module = engine.main.model.execution.reports.student.module;
+             var contents = Sk.ffi.remapToJs(module.$d.contents);
+             if (contents != "first\nsecond\n") {
+                 errors.push("read back "+JSON.stringify(contents));
+             }
+             if (!Sk.ffi.remapToJs(module.$d.missing)) {
+                 errors.push("opening a missing file did not raise an IOError");
+             }
+             var written = engine.main.model.execution.written_files();
+             if (JSON.stringify(written) != '["notes.txt"]') {
+                 errors.push("the written files were "+JSON.stringify(written));
+             }
+             if ('log.txt' in engine.writtenFiles) {
+                 errors.push("the instructor's file was kept");
+             }
+             return errors;
+         }},
+        // Analyzers
+        {'name': 'The issues from every analyzer are combined',
+         'code': 'unused = 5\nprint("Done")\n',
+         'assignment': {
+            'analyzers': ['tifa', 'engine_tests_crash'],
+            'analyzer_code': 'return {"issues": {\n'+
+                             '    "Unread variables": [{"name": "unused", "position": {"line": 1, "column": 0}}],\n'+
+                             '    "Too short": [{"severity": "style", "lines": code.split("\\n").length}]\n'+
+                             '}};'
+         },
+         'check': function(engine) {
+             var errors = [];
+             var analyzer = engine.main.model.execution.reports.analyzer;
+             if (analyzer.success) {
+                 errors.push("the crashing analyzer was not noticed");
+             }
+             ['tifa', 'assignment'].forEach(function(name) {
+                 if (!analyzer.analyzers[name] || !analyzer.analyzers[name].success) {
+                     errors.push("the "+name+" analyzer did not succeed");
+                 }
+             });
+             if (analyzer.analyzers.engine_tests_crash.success !== false) {
+                 errors.push("the crashing analyzer succeeded");
+             }
+             var unread = (analyzer.issues['Unread variables'] || []).length;
+             if (unread != 2) {
+                 errors.push("found "+unread+" unread variables instead of one from each analyzer");
+             }
+             var codes = analyzer.issue_list.map(function(issue) {
+                 return issue.code+":"+issue.severity;
+             }).sort();
+             if (codes.indexOf("too_short:style") == -1 || codes.indexOf("unread_variable:warning") == -1) {
+                 errors.push("the issues were listed as "+JSON.stringify(codes));
+             }
+             return errors;
+         }},
+        // Trace
+        {'name': 'The trace shows the variables, calls, and returned values of each step',
+         'code': 'def double(value):\n    result = value * 2\n    return result\n'+
+                 'items = [1, 2]\ntotal = double(len(items))\nprint(total)\n',
+         'feedback': 'trace = get_trace()\n'+
+                     'assert [step["step"] for step in trace] == list(range(len(trace)))\n'+
+                     'keys = ["column", "line", "returned", "stack", "step", "variables"]\n'+
+                     'for step in trace:\n'+
+                     '    assert sorted(step.keys()) == keys, step.keys()\n'+
+                     'assert trace[-1]["line"] == -1, trace[-1]["line"]\n'+
+                     'variables = trace[-1]["variables"]\n'+
+                     'assert variables["items"] == {"type": "List", "value": "[1, 2]", "length": 2}, variables["items"]\n'+
+                     'assert variables["total"] == {"type": "Integer", "value": "4", "length": None}, variables["total"]\n'+
+                     'assert variables["double"]["type"] == "Function", variables["double"]\n'+
+                     'inside = [step for step in trace if step["stack"]]\n'+
+                     'assert [step["line"] for step in inside] == [2, 3], inside\n'+
+                     'frame = inside[-1]["stack"][0]\n'+
+                     'assert frame["name"] == "double" and frame["line"] == 5, frame\n'+
+                     'assert frame["arguments"]["value"]["value"] == "2", frame["arguments"]\n'+
+                     'assert frame["locals"]["result"]["value"] == "4", frame["locals"]\n'+
+                     'returned = [step["returned"] for step in trace if step["returned"] is not None]\n'+
+                     'assert returned == [{"name": "double", "value": {"type": "Integer", "value": "4", "length": None}}], returned\n'},
+        // Random numbers
+        {'name': 'Reseeding the random module gives the same numbers again',
+         'code': 'import random\nrolls = [random.randint(1, 100) for i in range(5)]\n',
+         'assignment': {'random_seed': '7'},
+         'feedback': 'import random\n'+
+                     'assert get_random_seed() == 7, get_random_seed()\n'+
+                     'reseed_random(5)\n'+
+                     'first = [random.randint(1, 100) for i in range(5)]\n'+
+                     'reseed_random(5)\n'+
+                     'second = [random.randint(1, 100) for i in range(5)]\n'+
+                     'assert first == second, (first, second)\n'+
+                     'reseed_random()\n'+
+                     'again = [random.randint(1, 100) for i in range(5)]\n'+
+                     'assert again == student.data["rolls"], (again, student.data["rolls"])\n',
+         'check': function(engine) {
+             var seed = engine.main.model.execution.reports.student.random_seed;
+             if (seed !== 7) {
+                 return ["the student's code was seeded with "+seed+" instead of the assignment's seed"];
+             }
+             return [];
+         }},
+        // Blocks
+        {'name': 'The blocks in the editor can be found by type, parent, and position',
+         'code': 'total = 5\nprint(total)\n',
+         'blocks': [
+            {'id': 'a', 'type': 'variables_set', 'fields': {'VAR': 'total'}, 'input': null,
+             'x': 10, 'y': 20, 'line': 1, 'orphan': false, 'children': [
+                {'id': 'b', 'type': 'math_number', 'fields': {'NUM': '5'}, 'input': 'VALUE',
+                 'x': null, 'y': null, 'line': null, 'orphan': false, 'children': []}
+            ]},
+            {'id': 'c', 'type': 'text_print', 'fields': {}, 'input': null,
+             'x': null, 'y': null, 'line': 2, 'orphan': false, 'children': [
+                {'id': 'd', 'type': 'variables_get', 'fields': {'VAR': 'total'}, 'input': 'TEXT',
+                 'x': null, 'y': null, 'line': null, 'orphan': false, 'children': []}
+            ]},
+            {'id': 'e', 'type': 'math_number', 'fields': {'NUM': '3'}, 'input': null,
+             'x': 100, 'y': 200, 'line': null, 'orphan': true, 'children': []}
+         ],
+         'feedback': 'from instructor_blocks import *\n'+
+                     'blocks = get_blocks()\n'+
+                     'assert len(blocks) == 3, blocks\n'+
+                     'assert blocks[0]["fields"] == {"VAR": "total"}, blocks[0]\n'+
+                     'assert (blocks[0]["x"], blocks[0]["y"], blocks[0]["line"]) == (10, 20, 1), blocks[0]\n'+
+                     'assert blocks[0]["children"][0]["input"] == "VALUE", blocks[0]["children"]\n'+
+                     'assert blocks[1]["x"] is None, blocks[1]\n'+
+                     'assert [block.type for block in parse_blocks()] == ["variables_set", "text_print", "math_number"]\n'+
+                     'assert count_blocks() == 5, find_blocks()\n'+
+                     'assert count_blocks("math_number") == 2, find_blocks("math_number")\n'+
+                     'numbers = find_blocks("math_number")\n'+
+                     'assert numbers[0].parent.id == "a", numbers[0].parent\n'+
+                     'assert numbers[1].parent is None, numbers[1].parent\n'+
+                     'assert find_blocks("variables_get")[0].fields["VAR"] == "total"\n'+
+                     'assert [block.id for block in orphan_blocks()] == ["e"], orphan_blocks()\n'}
+    ];
+
+    function checkReports(test, engine) {
+        var reports = engine.main.model.execution.reports;
+        var expects = test.expects || {};
+        var problems = [];
+        var studentSuccess = expects.student === undefined ? true : expects.student;
+        if (reports.student.success !== studentSuccess) {
+            problems.push("student success was "+reports.student.success+": "+reports.student.error);
+        }
+        var instructorSuccess = expects.instructor === undefined ? true : expects.instructor;
+        if (test.feedback !== undefined && reports.instructor.success !== instructorSuccess) {
+            problems.push("instructor success was "+reports.instructor.success+": "+reports.instructor.error);
+        }
+        return Promise.resolve(test.check ? test.check(engine) : []).then(function(found) {
+            return problems.concat(found);
+        });
+    }
+
+    // The engine changes Skulpt's global settings, so the tests run one at a time
+    $(window).on('load', function() {
+        var errors = 0;
+        engine_tests.reduce(function(previous, test) {
+            return previous.then(function() {
+                console.log("ENGINE TEST", test.name);
+                return runTest(test).then(function(engine) {
+                    return checkReports(test, engine);
+                }).then(function(problems) {
+                    if (problems.length) {
+                        console.error("Engine Tests: "+test.name, "\n"+test.code, "\n"+problems.join("\n"));
+                        errors += 1;
+                    }
+                }).catch(function(error) {
+                    console.error("Engine Tests: "+test.name, "\n"+test.code, "\n", error);
+                    errors += 1;
+                });
+            });
+        }, Promise.resolve()).then(function() {
+            if (errors == 0) {
+                console.log("All engine test cases passed!");
+            } else {
+                console.log(errors, "engine test cases failed out of", engine_tests.length);
+            }
+        });
+    });
+})();
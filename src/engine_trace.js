@@ -0,0 +1,558 @@
+/**
+ * Records what the students' program does while it runs: the variables after
+ * every statement, and the calls to the students' own functions. Both the
+ * BlockPyEngine and the Web Worker (see engine_worker.js) record their traces
+ * with these, so a program's trace looks the same no matter where it ran.
+ *
+ * Everything is recorded into an execution buffer (see BlockPyTrace.newBuffer)
+ * that holds the "trace" so far, the current "step" and "line_number", the
+ * "stack" of calls to the students' functions, and the value that the last
+ * one "returned".
+ */
+var BlockPyTrace = {};
+
+/**
+ * Creates an empty execution buffer.
+ *
+ * @returns {Object}
+ */
+BlockPyTrace.newBuffer = function() {
+    return {
+        'trace': [],
+        'step': 0,
+        'last_step': 0,
+        'line_number': 0,
+        'stack': [],
+        'returned': null,
+        'current_line': null
+    };
+}
+
+/**
+ * Records a step of the students' program, meant to be called by
+ * Sk.afterSingleExecution. Only steps in the students' own file count.
+ *
+ * @param {Object} buffer - The execution buffer.
+ * @param {Object} variables - Hash that maps the names of variables (Strings) to their Skulpt representation.
+ * @param {Number} lineNumber - The line number that is being executed (-1 once the program is done).
+ * @param {Number} columnNumber - The column number that is being executed.
+ * @param {String} filename - The name of the python file being executed (e.g., "__main__.py").
+ * @param {Boolean} traceOff - Whether to leave the variables out of the trace.
+ * @param {Number} stepLimit - How many steps the program may take.
+ * @throws {Sk.builtin.TimeLimitError} If the program took too many steps.
+ */
+BlockPyTrace.step = function(buffer, variables, lineNumber, columnNumber, filename, traceOff, stepLimit) {
+    if (filename != '__main__.py') {
+        return;
+    }
+    var currentStep = buffer.step;
+    var globals = traceOff ? {"properties": [], "modules": []} : BlockPyTrace.parseGlobals(variables);
+    buffer.trace.push(
+        {'step': currentStep,
+         'filename': filename,
+         'line': lineNumber,
+         'column': columnNumber,
+         'properties': globals.properties,
+         'modules': globals.modules,
+         'stack': BlockPyTrace.snapshotStack(buffer),
+         'returned': buffer.returned});
+    buffer.returned = null;
+    buffer.step = currentStep+1;
+    buffer.last_step = currentStep+1;
+    buffer.line_number = lineNumber;
+    if (currentStep+1 > stepLimit && lineNumber != -1) {
+        throw BlockPyTrace.stepLimitError(stepLimit);
+    }
+}
+
+/**
+ * Creates the exception for a program that took too many steps.
+ *
+ * @param {Number} limit - The step limit that was exceeded.
+ */
+BlockPyTrace.stepLimitError = function(limit) {
+    return new Sk.builtin.TimeLimitError("Program exceeded the limit of "+limit+" steps");
+}
+
+/**
+ * Wraps Skulpt's function calls so that every call to a function defined in
+ * the student's code pushes a frame onto the execution buffer's stack, and
+ * pops it off (recording the return value) when the function finishes.
+ *
+ * @param {Function} getBuffer - Returns the execution buffer to record the
+ *                               calls in, or null to remove the wrapper.
+ */
+BlockPyTrace.instrumentFunctionCalls = function(getBuffer) {
+    var func = Sk.builtin.func.prototype;
+    if (func.tp$call$original === undefined) {
+        func.tp$call$original = func.tp$call;
+    }
+    var original = func.tp$call$original;
+    if (getBuffer === null) {
+        func.tp$call = original;
+        return;
+    }
+    func.tp$call = function(args, kw) {
+        var self = this;
+        if (!BlockPyTrace.isStudentFunction(self)) {
+            return original.call(self, args, kw);
+        }
+        var buffer = getBuffer();
+        var frame = BlockPyTrace.pushFrame(buffer, self, args, kw);
+        return Sk.misceval.tryCatch(function() {
+            return Sk.misceval.chain(original.call(self, args, kw), function(result) {
+                BlockPyTrace.popFrame(buffer, frame, result);
+                return result;
+            });
+        }, function(error) {
+            BlockPyTrace.popFrame(buffer, frame);
+            throw error;
+        });
+    };
+}
+
+/**
+ * Determines whether a Skulpt function was defined in the student's code,
+ * as opposed to a builtin or a library function.
+ *
+ * @param {Sk.builtin.func} func - The function being called.
+ */
+BlockPyTrace.isStudentFunction = function(func) {
+    var globals = func.func_globals;
+    // Functions from JavaScript modules may not have any globals
+    return globals !== undefined && globals !== null &&
+           globals['__name__'] !== undefined &&
+           globals['__name__'].v == '__main__';
+}
+
+/**
+ * Records a new call frame on the execution buffer's stack.
+ *
+ * @param {Object} buffer - The execution buffer.
+ * @param {Sk.builtin.func} func - The function being called.
+ * @param {Array} args - The positional arguments, as Skulpt values.
+ * @param {Array} kw - Alternating keyword names and Skulpt values.
+ * @returns {Object} The new frame.
+ */
+BlockPyTrace.pushFrame = function(buffer, func, args, kw) {
+    var names = func.func_code.co_varnames || [];
+    var parameters = [];
+    for (var i = 0; i < args.length; i++) {
+        var name = i < names.length ? names[i] : '*'+i;
+        parameters.push(BlockPyTrace.parseVariable(name, args[i]));
+    }
+    for (var i = 0; kw && i < kw.length; i += 2) {
+        parameters.push(BlockPyTrace.parseVariable(kw[i], kw[i+1]));
+    }
+    var frame = {
+        'name': func.func_code.co_name ? func.func_code.co_name.v : '<function>',
+        'line': buffer.line_number,
+        'arguments': parameters.filter(function(p) { return p !== null; }),
+        'locals': []
+    };
+    buffer.stack.push(frame);
+    return frame;
+}
+
+/**
+ * Removes a call frame from the execution buffer's stack. If the function
+ * finished normally, its return value will be shown on the next step.
+ *
+ * @param {Object} buffer - The execution buffer.
+ * @param {Object} frame - The frame created by pushFrame.
+ * @param {Object} result - The Skulpt value returned, or undefined if an
+ *                          exception was raised.
+ */
+BlockPyTrace.popFrame = function(buffer, frame, result) {
+    var stack = buffer.stack;
+    var index = stack.lastIndexOf(frame);
+    if (index != -1) {
+        stack.splice(index, stack.length-index);
+    }
+    if (result !== undefined) {
+        buffer.returned = {
+            'name': frame.name,
+            'value': BlockPyTrace.parseVariable('return', result)
+        };
+    }
+}
+
+/**
+ * Looks through one of Skulpt's debug suspensions (which happen before every
+ * statement) for the students' code, and records the local variables of
+ * each of their functions that is running.
+ *
+ * @param {Object} buffer - The execution buffer.
+ * @param {Sk.misceval.Suspension} suspension - The outermost suspension.
+ * @returns {Object} The "line" of the statement about to run (or null if it
+ *                   is not in the students' code) and the "depth" of calls
+ *                   to their functions.
+ */
+BlockPyTrace.recordSuspension = function(buffer, suspension) {
+    var line = null;
+    var scopes = [];
+    for (var level = suspension; level; level = level.child) {
+        if (level.$filename == '__main__.py') {
+            line = level.$lineno;
+            if (level.$tmps !== undefined && level.$loc !== level.$gbl) {
+                scopes.push(level.$tmps);
+            }
+        }
+    }
+    BlockPyTrace.captureLocals(buffer, scopes);
+    if (line !== null) {
+        buffer.current_line = line;
+    }
+    return {'line': line, 'depth': scopes.length};
+}
+
+/**
+ * Copies each suspended function scope's local variables onto the matching
+ * frame in the execution buffer's stack. Note that this means locals are as
+ * they were at the start of the latest statement.
+ *
+ * @param {Object} buffer - The execution buffer.
+ * @param {Array} scopes - The saved variables of each function scope,
+ *                         outermost first.
+ */
+BlockPyTrace.captureLocals = function(buffer, scopes) {
+    var stack = buffer.stack;
+    var offset = stack.length - scopes.length;
+    for (var i = Math.max(0, -offset); i < scopes.length; i++) {
+        stack[offset+i].locals = BlockPyTrace.parseLocals(scopes[i]);
+    }
+}
+
+/**
+ * Copies the current call stack, so that later changes to the frames
+ * do not affect steps that were already recorded.
+ *
+ * @param {Object} buffer - The execution buffer.
+ */
+BlockPyTrace.snapshotStack = function(buffer) {
+    return buffer.stack.map(function(frame) {
+        return {'name': frame.name, 'line': frame.line,
+                'arguments': frame.arguments, 'locals': frame.locals};
+    });
+}
+
+/**
+ * Consume a set of variables traced from the execution and parse out any
+ * global variables and modules.
+ *
+ * @param {Object} variables - a mapping of variable names to their Skupt value.
+ */
+BlockPyTrace.parseGlobals = function(variables) {
+    var result = [];
+    var modules = [];
+    for (var property in variables) {
+        var value = variables[property];
+        if (property !== "__name__" &&
+            property !== "__doc__" &&
+            property !== "__package__") {
+            var parsed = BlockPyTrace.parseVariable(property, value);
+            if (parsed !== null) {
+                result.push(parsed);
+            } else if (value.constructor == Sk.builtin.module) {
+                modules.push(value.$d.__name__.v);
+            }
+        }
+    }
+    return {"properties": result, "modules": modules};
+}
+
+/**
+ * Consume the saved variables of a suspended function scope and parse out
+ * its local variables, skipping Skulpt's own temporaries.
+ *
+ * @param {Object} variables - a mapping of variable names to their Skulpt value.
+ */
+BlockPyTrace.parseLocals = function(variables) {
+    var result = [];
+    for (var property in variables) {
+        var value = variables[property];
+        if (property.charAt(0) !== '$' && value !== undefined) {
+            var parsed = BlockPyTrace.parseVariable(property, value);
+            if (parsed !== null) {
+                result.push(parsed);
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Cleans up a variable's name and converts its value with parseValue,
+ * falling back to its raw string form if the conversion fails.
+ *
+ * @param {String} property - the variable name, possibly mangled by Skulpt
+ * @param {Object} value - the skulpt value
+ */
+BlockPyTrace.parseVariable = function(property, value) {
+    property = property.replace('_$rw$', '')
+                       .replace('_$rn$', '');
+    try {
+        return BlockPyTrace.parseValue(property, value);
+    } catch (e) {
+        // Can't really do anything
+        return {"name": property, "type": "Unknown",
+                "value": String(value)};
+    }
+}
+
+/**
+ * Convert a Skulpt value into a more easily printable object.
+ *
+ * @param {String} property
+ * @param {Object} value - the skulpt value
+ */
+BlockPyTrace.parseValue = function(property, value) {
+    if (value == undefined) {
+        return {'name': property,
+                'type': 'Unknown',
+                "value": 'Undefined'
+                };
+    }
+    switch (value.constructor) {
+        case Sk.builtin.func:
+            return {'name': property,
+                    'type': "Function",
+                    "value":
+                        (value.func_code.co_varnames !== undefined ?
+                         " Arguments: "+value.func_code.co_varnames.join(", ") :
+                         ' No arguments')
+                    };
+        case Sk.builtin.module: return null;
+        case Sk.builtin.str:
+            if (value.sq$length() <= 2000) {
+                return {'name': property,
+                    'type': "String",
+                    "value": value.$r().v,
+                    "length": value.sq$length()
+                };
+            } else {
+                return {'name': property,
+                    'type': "String",
+                    "value": "["+value.sq$length()+" characters not shown]",
+                    "length": value.sq$length()
+                };
+            }
+        case Sk.builtin.none:
+            return {'name': property,
+                'type': "None",
+                "value": "None"
+            };
+        case Sk.builtin.bool:
+            return {'name': property,
+                'type': "Boolean",
+                "value": value.$r().v
+            };
+        case Sk.builtin.nmber:
+            return {'name': property,
+                'type': "int" == value.skType ? "Integer": "Float",
+                "value": value.$r().v
+            };
+        case Sk.builtin.int_:
+            return {'name': property,
+                'type': "Integer",
+                "value": value.$r().v
+            };
+        case Sk.builtin.float_:
+            return {'name': property,
+                'type': "Float",
+                "value": value.$r().v
+            };
+        case Sk.builtin.tuple:
+            return {'name': property,
+                'type': "Tuple",
+                "value": value.$r().v,
+                "length": value.v.length
+            };
+        case Sk.builtin.list:
+            if (value.v.length <= 20) {
+                return {'name': property,
+                    'type': "List",
+                    "value": value.$r().v,
+                    "length": value.v.length,
+                    'exact_value': value
+                };
+            } else {
+                return {'name': property,
+                    'type': "List",
+                    "value": "[... "+value.v.length+" elements ...]",
+                    "length": value.v.length,
+                    "exact_value": value
+                };
+            }
+        case Sk.builtin.dict:
+            return {'name': property,
+                'type': "Dictionary",
+                "value": value.$r().v
+            };
+        case Number:
+            return {'name': property,
+                'type': value % 1 === 0 ? "Integer" : "Float",
+                "value": value
+            };
+        case String:
+            return {'name': property,
+                'type': "String",
+                "value": value
+            };
+        case Boolean:
+                return {'name': property,
+                    'type': "Boolean",
+                    "value": (value ? "True": "False")
+                };
+        default:
+            return {'name': property,
+                    'type': value.tp$name == undefined ? value : value.tp$name,
+                    "value": value.$r == undefined ? value : value.$r().v
+                    };
+    }
+}
+
+/**
+ * Makes a trace safe to send between threads. The "exact_value" of a list
+ * is the live Skulpt list (so it shows the list as it ended up), which
+ * cannot be sent, so it is replaced by how that list looks now.
+ *
+ * @param {Array} trace - The steps of the trace.
+ * @returns {Array} The same trace.
+ */
+BlockPyTrace.freezeTrace = function(trace) {
+    var lists = [], reprs = [];
+    var freeze = function(variable) {
+        if (variable && variable.exact_value !== undefined &&
+            typeof variable.exact_value !== "string") {
+            var index = lists.indexOf(variable.exact_value);
+            if (index == -1) {
+                index = lists.push(variable.exact_value) - 1;
+                reprs.push(variable.exact_value.$r().v);
+            }
+            variable.exact_value = reprs[index];
+        }
+    };
+    trace.forEach(function(step) {
+        step.properties.forEach(freeze);
+        step.stack.forEach(function(frame) {
+            frame.arguments.forEach(freeze);
+            frame.locals.forEach(freeze);
+        });
+        if (step.returned) {
+            freeze(step.returned.value);
+        }
+    });
+    return trace;
+}
+
+/**
+ * Converts a Skulpt value made only of plain data (None, booleans, numbers,
+ * strings, and lists, tuples, sets and dictionaries of them) into something
+ * that can be sent between threads, for BlockPyTrace.unpackValue.
+ *
+ * @param {Object} value - The Skulpt value.
+ * @param {Array} seen - The lists, tuples, sets and dictionaries that the
+ *                       value is inside of, since those cannot be packed
+ *                       if they contain themselves.
+ * @returns {Object} The packed value, or undefined if it is not plain data
+ *                   (e.g., a function, a module, or an object).
+ */
+BlockPyTrace.packValue = function(value, seen) {
+    seen = seen || [];
+    if (value === undefined || value === null || seen.indexOf(value) != -1) {
+        return undefined;
+    }
+    var packItems = function(items) {
+        var packed = [];
+        seen.push(value);
+        for (var i = 0; i < items.length; i++) {
+            var item = BlockPyTrace.packValue(items[i], seen);
+            if (item === undefined) {
+                packed = undefined;
+                break;
+            }
+            packed.push(item);
+        }
+        seen.pop();
+        return packed;
+    };
+    var iterate = function(iterable) {
+        var items = [];
+        for (var it = Sk.abstr.iter(iterable), item = it.tp$iternext();
+             item !== undefined; item = it.tp$iternext()) {
+            items.push(item);
+        }
+        return items;
+    };
+    var items;
+    switch (value.constructor) {
+        case Sk.builtin.none:
+            return {'type': 'NoneType'};
+        case Sk.builtin.bool:
+            return {'type': 'bool', 'value': !!Sk.misceval.isTrue(value)};
+        case Sk.builtin.int_: case Sk.builtin.float_: case Sk.builtin.str:
+            if (typeof value.v !== "number" && typeof value.v !== "string") {
+                return undefined;
+            }
+            return {'type': value.tp$name, 'value': value.v};
+        case Sk.builtin.list: case Sk.builtin.tuple:
+            items = packItems(value.v);
+            break;
+        case Sk.builtin.set:
+            items = packItems(iterate(value));
+            break;
+        case Sk.builtin.dict:
+            var keys = iterate(value);
+            var pairs = [];
+            keys.forEach(function(key) {
+                pairs.push(key, value.mp$subscript(key));
+            });
+            items = packItems(pairs);
+            break;
+        default:
+            return undefined;
+    }
+    return items === undefined ? undefined : {'type': value.tp$name, 'items': items};
+}
+
+/**
+ * Recreates a Skulpt value packed by BlockPyTrace.packValue.
+ *
+ * @param {Object} packed - The packed value.
+ * @returns {Object} The Skulpt value.
+ */
+BlockPyTrace.unpackValue = function(packed) {
+    var items = (packed.items || []).map(BlockPyTrace.unpackValue);
+    switch (packed.type) {
+        case 'NoneType': return Sk.builtin.none.none$;
+        case 'bool': return packed.value ? Sk.builtin.bool.true$ : Sk.builtin.bool.false$;
+        case 'int': return new Sk.builtin.int_(packed.value);
+        case 'float': return new Sk.builtin.float_(packed.value);
+        case 'str': return new Sk.builtin.str(packed.value);
+        case 'list': return new Sk.builtin.list(items);
+        case 'tuple': return new Sk.builtin.tuple(items);
+        case 'set': return new Sk.builtin.set(new Sk.builtin.list(items));
+        case 'dict': return new Sk.builtin.dict(items);
+    }
+}
+
+/**
+ * Packs every global variable of the students' module that is plain data
+ * (see BlockPyTrace.packValue), so that it can be sent between threads.
+ *
+ * @param {Object} variables - a mapping of variable names to their Skulpt value.
+ * @returns {Object} A mapping of variable names to their packed values.
+ */
+BlockPyTrace.packGlobals = function(variables) {
+    var packed = {};
+    for (var name in variables) {
+        if (name.slice(0, 2) !== "__") {
+            var value = BlockPyTrace.packValue(variables[name]);
+            if (value !== undefined) {
+                packed[name] = value;
+            }
+        }
+    }
+    return packed;
+}
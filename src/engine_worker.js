@@ -0,0 +1,194 @@
+/**
+ * A Web Worker for running student code away from the main thread, so that
+ * a runaway program can never freeze the page. The BlockPyEngine drives it
+ * with a small message protocol.
+ *
+ * Received messages:
+ *  {type: 'run', scripts, code, timeout, step_limit, trace_off, debugging,
+ *   random_seed, random_module, files}
+ *      Loads Skulpt from the given scripts (only the first time) and then
+ *      runs the code as the __main__ module. The random_module is the
+ *      {file, seeding} that BlockPyEngine.readFile uses to seed the random
+ *      module with the random_seed. If debugging, the local variables of
+ *      the students' functions are traced too.
+ *  {type: 'input', value}
+ *      The answer to the most recent 'input' message.
+ *
+ * Sent messages:
+ *  {type: 'print', text, step, line}
+ *  {type: 'plot', value, step, line}
+ *      Plots cannot be drawn without a DOM, so only their data is sent.
+ *  {type: 'input', prompt, step, line}
+ *  {type: 'done', trace, step, line_number, written, globals}
+ *  {type: 'error', error, trace, step, line_number, written}
+ *      The trace is recorded just like on the main thread (see
+ *      engine_trace.js). The error is flattened to {name, args, traceback}.
+ *      Any files that were opened for writing are sent back as
+ *      {name: contents}, and the global variables that are plain data are
+ *      sent back packed (see BlockPyTrace.packGlobals).
+ *
+ * The worker cannot pause or draw, so the BlockPyEngine keeps programs with
+ * breakpoints or drawing on the main thread.
+ */
+
+importScripts('engine_trace.js');
+
+var skulptLoaded = false;
+var pendingInput = null;
+var buffer = null;
+var traceOff = false;
+var stepLimit = Infinity;
+var written = {};
+
+/**
+ * Send a message back to the BlockPyEngine, tagged with the current
+ * step and line of the student's program.
+ */
+function postPosition(message) {
+    message.step = buffer.step;
+    message.line = buffer.current_line || buffer.line_number;
+    postMessage(message);
+}
+
+/**
+ * Records the variables after every statement, like BlockPyEngine.step
+ */
+function step(variables, lineNumber, columnNumber, filename) {
+    BlockPyTrace.step(buffer, variables, lineNumber, columnNumber, filename,
+                      traceOff, stepLimit);
+}
+
+/**
+ * Flatten a Skulpt exception into something that can be posted.
+ */
+function describeError(error) {
+    if (error.tp$name === undefined) {
+        return {'name': 'Exception', 'args': [String(error)], 'traceback': []};
+    }
+    var args;
+    try {
+        args = Sk.ffi.remapToJs(error.args);
+    } catch (e) {
+        args = [error.toString()];
+    }
+    return {'name': error.tp$name, 'args': args, 'traceback': error.traceback || []};
+}
+
+/**
+ * Plots can contain all sorts of things; keep only what survives JSON.
+ */
+function cloneable(value) {
+    try {
+        return JSON.parse(JSON.stringify(value));
+    } catch (e) {
+        return null;
+    }
+}
+
+function configureSkulpt(files, randomModule) {
+    Sk.python3 = true;
+    Sk.configure({
+        output: function(text) {
+            if (text !== "\n") {
+                postPosition({'type': 'print', 'text': text});
+            }
+        },
+        read: function(filename) {
+            if (Sk.builtinFiles === undefined ||
+                Sk.builtinFiles["files"][filename] === undefined) {
+                throw "File not found: '" + filename + "'";
+            }
+            if (filename == randomModule.file) {
+                return Sk.builtinFiles["files"][filename] + randomModule.seeding;
+            }
+            return Sk.builtinFiles["files"][filename];
+        }
+    });
+    // Same rules as BlockPyEngine.openFile
+    Sk.inBrowser = function(name, mode) {
+        var contents = name in written ? written[name] : files[name];
+        mode = mode || 'r';
+        if (mode.charAt(0) == 'w') {
+            contents = '';
+        } else if (mode.charAt(0) == 'a') {
+            contents = contents || '';
+        } else if (contents === undefined) {
+            throw new Sk.builtin.IOError("[Errno 2] No such file or directory: '" + name + "'");
+        } else {
+            return contents;
+        }
+        written[name] = contents;
+        return contents;
+    };
+    Sk.filewrite = function(file, text) {
+        var name = Sk.ffi.remapToJs(file.name);
+        written[name] = (written[name] || '') + text;
+    };
+    Sk.console = {
+        'printHtml': function(html, value) {
+            postPosition({'type': 'plot', 'value': cloneable(value)});
+        },
+        'width': 500, 'height': 500, 'pngMode': false,
+        'skipDrawing': true, 'container': null
+    };
+    Sk.inputfunTakesPrompt = true;
+    Sk.inputfun = function(prompt) {
+        postPosition({'type': 'input', 'prompt': prompt});
+        return new Promise(function(resolve) {
+            pendingInput = resolve;
+        });
+    };
+    Sk.afterSingleExecution = step;
+    // Function calls and locals are traced just like on the main thread
+    Sk.breakpoints = function() { return true; };
+    BlockPyTrace.instrumentFunctionCalls(traceOff ? null : function() { return buffer; });
+}
+
+function run(message) {
+    if (!skulptLoaded) {
+        importScripts.apply(null, message.scripts);
+        skulptLoaded = true;
+    }
+    buffer = BlockPyTrace.newBuffer();
+    traceOff = message.trace_off;
+    stepLimit = message.step_limit;
+    written = {};
+    configureSkulpt(message.files, message.random_module);
+    Sk.execLimit = message.timeout;
+    Sk.debugging = message.debugging;
+    Sk.randomSeed = message.random_seed;
+    Sk.misceval.asyncToPromise(function() {
+        return Sk.importMainWithBody('__main__', false, message.code, true);
+    }, {'Sk.debug': function(suspension) {
+        BlockPyTrace.recordSuspension(buffer, suspension);
+        // Carry on immediately
+        return undefined;
+    }}).then(function(module) {
+        step(module.$d, -1, 0, '__main__.py');
+        postMessage({'type': 'done', 'trace': BlockPyTrace.freezeTrace(buffer.trace),
+                     'step': buffer.step, 'line_number': buffer.line_number,
+                     'written': written,
+                     'globals': BlockPyTrace.packGlobals(module.$d)});
+    }, function(error) {
+        postMessage({'type': 'error', 'error': describeError(error),
+                     'trace': BlockPyTrace.freezeTrace(buffer.trace),
+                     'step': buffer.step, 'line_number': buffer.line_number,
+                     'written': written});
+    });
+}
+
+onmessage = function(event) {
+    var message = event.data;
+    switch (message.type) {
+        case 'run':
+            run(message);
+            break;
+        case 'input':
+            if (pendingInput !== null) {
+                var resolve = pendingInput;
+                pendingInput = null;
+                resolve(message.value);
+            }
+            break;
+    }
+};
@@ -20,9 +20,95 @@ function BlockPyFeedback(main, tag) {
     // Reload the tracetable on click
     this.trace.click(this.buildTraceTable.bind(this));
     
+    // Follow the trace in the editor as the student scrubs through it
+    var execution = this.main.model.execution;
+    execution.trace_step.subscribe(this.highlightTraceStep.bind(this));
+    execution.show_trace.subscribe(this.highlightTraceStep.bind(this));
+    
+    // Slow-motion playback of the trace
+    this.playbackTimer = null;
+    execution.playing.subscribe(function(playing) {
+        if (playing) {
+            this.startPlayback();
+        } else {
+            this.stopPlayback();
+        }
+    }, this);
+    
+    // Jump to an issue's line when it is clicked in a list of issues
+    var feedback = this;
+    this.body.on('click', '.blockpy-feedback-line', function(event) {
+        event.preventDefault();
+        feedback.main.components.editor.highlightError($(this).data('line')-1);
+    });
+    
     this.original.hide();
 };
 
+/**
+ * Starts replaying the trace from the beginning (or from the current step,
+ * if it is partway through), hiding any output that was printed later on.
+ */
+BlockPyFeedback.prototype.startPlayback = function() {
+    var execution = this.main.model.execution;
+    execution.show_trace(true);
+    if (execution.trace_step() >= execution.last_step()) {
+        execution.trace_step(0);
+    }
+    this.main.components.printer.stepPrinter(execution.trace_step());
+    this.scheduleNextStep();
+}
+
+/**
+ * Waits for the current playback delay, and then advances the trace by one
+ * step (and its output along with it). Playback stops at the end.
+ */
+BlockPyFeedback.prototype.scheduleNextStep = function() {
+    var execution = this.main.model.execution;
+    var printer = this.main.components.printer;
+    var delay = parseInt(this.main.model.settings.playback_delay(), 10);
+    var feedback = this;
+    this.playbackTimer = setTimeout(function() {
+        var next = execution.trace_step()+1;
+        if (next > execution.last_step()) {
+            execution.playing(false);
+            return;
+        }
+        execution.trace_step(next);
+        printer.stepPrinter(next);
+        feedback.scheduleNextStep();
+    }, delay);
+}
+
+/**
+ * Halts playback, leaving the trace at the current step and revealing
+ * all of the output again.
+ */
+BlockPyFeedback.prototype.stopPlayback = function() {
+    clearTimeout(this.playbackTimer);
+    this.playbackTimer = null;
+    this.main.components.printer.stepPrinter(Infinity);
+}
+
+/**
+ * Highlights the line (and any matching blocks) of the current trace step.
+ * The final step of a trace has no line, so highlights are cleared instead.
+ */
+BlockPyFeedback.prototype.highlightTraceStep = function() {
+    var execution = this.main.model.execution;
+    var editor = this.main.components.editor;
+    if (!execution.show_trace()) {
+        return;
+    }
+    var line = this.main.model.current_trace().line;
+    if (line > 0) {
+        editor.highlightLine(line-1);
+    } else {
+        editor.unhighlightLines();
+        editor.blockly.highlightBlock(null);
+    }
+}
+
 BlockPyFeedback.prototype.scrollIntoView = function() {
     $('html, body').animate({
         scrollTop: this.tag.offset().top
@@ -244,6 +330,22 @@ BlockPyFeedback.prototype.emptyProgram = function() {
     this.main.components.server.logEvent('feedback', "Empty Program");
 }
 
+/**
+ * Explains that the student stopped their program before it finished, so that
+ * it is not mistaken for a TimeLimitError or a problem with their code.
+ *
+ * @param {Number} line - The last line that ran, or 0 if none did.
+ */
+BlockPyFeedback.prototype.presentCancellation = function(line) {
+    var message = "You stopped your program before it finished, so it has not been checked. ";
+    if (line > 0) {
+        message += "The last line to run was line "+line+". ";
+    }
+    message += "Run it again when you are ready.";
+    this.presentFeedback("Cancelled", "Cancelled by User", message,
+                         line > 0 ? line : null);
+}
+
 /**
  * Converts any kind of error (usually a Skulpt one) into a prettier version that's ready
  * for users to see. If it's already a string, it is passed along unchanged. But Skulpt
@@ -327,6 +429,92 @@ BlockPyFeedback.prototype.presentInstructorError = function() {
     }
 };
 
+/**
+ * Shows the results of the instructor's unit tests (see run_unit_tests in
+ * instructor_functions.py) below the current feedback, as a table for each
+ * function that was tested. Nothing is shown if the grade is secret.
+ *
+ * @param {Array} tests - The reported tests, one for each function.
+ */
+BlockPyFeedback.prototype.presentUnitTests = function(tests) {
+    if (!tests || !tests.length || this.main.model.assignment.secret()) {
+        return;
+    }
+    var body = this.body;
+    tests.forEach(function(test) {
+        var passed = test.results.filter(function(result) { return result.passed; }).length;
+        var summary = $("<p></p>").appendTo(body);
+        if (!test.defined) {
+            summary.append("The function <code></code> was not defined, so none of its tests could be run.")
+                   .find("code").text(test.name);
+            return;
+        }
+        summary.append("I ran your function <code></code> on some new arguments, and it passed "+passed+"/"+test.results.length+" tests.")
+               .find("code").text(test.name);
+        var table = $("<table class='blockpy-feedback-unit table table-condensed table-bordered table-hover'>"+
+                      "<tr class='active'><th></th><th>Arguments</th><th>Returned</th><th>Expected</th><th>Printed</th></tr>"+
+                      "</table>").appendTo(body);
+        test.results.forEach(function(result) {
+            var row = $("<tr></tr>").appendTo(table);
+            if (result.passed) {
+                row.append(this.UNIT_TEST_PASSED);
+            } else {
+                row.append(this.UNIT_TEST_FAILED);
+            }
+            $("<td><code></code></td>").appendTo(row).find("code").text(result.arguments.join(", "));
+            var returned = $("<td></td>").appendTo(row);
+            if (result.timed_out) {
+                returned.html("<i>Took too long</i>");
+            } else if (result.error !== null) {
+                $("<code></code>").text(result.error).appendTo(returned);
+            } else {
+                $("<code></code>").text(result.returned).appendTo(returned);
+            }
+            var expected = $("<td></td>").appendTo(row);
+            if (result.expected_error !== null) {
+                $("<code></code>").text(result.expected_error).appendTo(expected);
+            } else if (result.expected !== null) {
+                $("<code></code>").text(result.expected).appendTo(expected);
+            }
+            var printed = $("<td></td>").appendTo(row);
+            if (result.output.length) {
+                $("<pre></pre>").text(result.output.join("\n")).appendTo(printed);
+            }
+            if (result.expected_output !== null && !result.passed) {
+                $("<pre></pre>").text("Expected:\n"+result.expected_output.join("\n")).appendTo(printed);
+            }
+            if (result.tip && !result.passed) {
+                $("<tr class='info'><td colspan=5></td></tr>").appendTo(table)
+                    .find("td").html(result.tip);
+            }
+        }, this);
+    }, this);
+}
+
+/**
+ * The markers in the first column of a unit test's row.
+ */
+BlockPyFeedback.prototype.UNIT_TEST_PASSED = "<td style='font-weight: bold;color: green;text-shadow: -1px 0 black, 0 1px black, 1px 0 black, 0 -1px black;'>&#10004;</td>";
+BlockPyFeedback.prototype.UNIT_TEST_FAILED = "<td>&#10060;</td>";
+
+/**
+ * Calculates the partial credit earned from the instructor's unit tests.
+ *
+ * @param {Array} tests - The reported tests, one for each function.
+ * @returns {Number} The fraction of all the test cases that passed (0 if
+ *                   there were none).
+ */
+BlockPyFeedback.prototype.scoreUnitTests = function(tests) {
+    var passed = 0, total = 0;
+    (tests || []).forEach(function(test) {
+        test.results.forEach(function(result) {
+            passed += result.passed ? 1 : 0;
+            total += 1;
+        });
+    });
+    return total === 0 ? 0 : passed / total;
+}
+
 /**
  * Present any accumulated feedback
  */
@@ -474,9 +662,169 @@ BlockPyFeedback.prototype.TYPE_DESCRIPTION = {
     "File": "a file",
     "None": "a None",
     "Set": "a set",
-    "Function": "a function"
+    "Function": "a function",
+    "Class": "a class",
+    "Instance": "an object",
+    "Dict": "a dictionary",
+    "Module": "a module"
 };
 
+/**
+ * Describes what the analyzer thinks a misspelled name should have been.
+ *
+ * @param {Object} suggestion - The {name, type} of the similar name, or null.
+ * @param {String} kind - What the suggestion is (e.g., "variable").
+ * @returns {String} A sentence (with a leading space) to add to the feedback, or an empty string if there's no suggestion.
+ */
+BlockPyFeedback.prototype.describeSuggestion = function(suggestion, kind) {
+    if (!suggestion) {
+        return "";
+    }
+    var type = this.TYPE_DESCRIPTION[suggestion.type.name];
+    var description;
+    if (type === undefined) {
+        description = "a "+kind;
+    } else if (["Function", "Class", "Module"].indexOf(suggestion.type.name) > -1) {
+        description = type;
+    } else {
+        description = type+" "+kind;
+    }
+    return " However, there is "+description+" named <code>"+suggestion.name+"</code>. Did you mean that instead?";
+}
+
+/**
+ * The messages for each kind of analyzer issue (by its code), in the order
+ * that they should be shown. The title and message are templates, where
+ * "{key}" is replaced by the issue's "key" property. The message can also
+ * be a function that takes the issue and returns the message, or null if
+ * the issue shouldn't be shown. Unless "highlight" is false, the issue's
+ * line is highlighted.
+ */
+BlockPyFeedback.prototype.ANALYZER_MESSAGES = [
+    {"code": "action_after_return", "title": "Action after return",
+     "message": "You performed an action after already returning from a function, on line {line}. You can only return on a path once."},
+    {"code": "return_outside_function", "title": "Return outside function",
+     "message": "You attempted to return outside of a function on line {line}. But you can only return from within a function."},
+    {"code": "unconnected_blocks", "title": "Unconnected blocks",
+     "message": "It looks like you have unconnected blocks on line {line}. Before you run your program, you must make sure that all of your blocks are connected and that there are no unfilled holes."},
+    {"code": "iteration_variable_is_list", "title": "Iteration Problem",
+     "message": "The variable <code>{name}</code> was iterated on line {line}, but you used the same variable as the iteration variable. You should choose a different variable name for the iteration variable. Usually, the iteration variable is the singular form of the iteration list (e.g., <code>for dog in dogs:</code>)."},
+    {"code": "attribute_before_assignment", "title": "Attribute Problem",
+     "message": "The attribute <code>{name}</code> was used on line {line}, but it was not given a value on the <code>{class_name}</code> before that. Usually, attributes are given their first value in the <code>__init__</code> method."},
+    {"code": "method_wrong_arity", "title": "Wrong Number of Arguments",
+     "message": function(call) {
+        var expected = call.minimum == call.maximum ? call.minimum : "at least "+call.minimum;
+        return this.fillTemplate("The method <code>{name}</code> was called on line {line} with {given} argument(s), but it expects "+expected+" (not counting <code>self</code>).", call);
+     }},
+    {"code": "incorrect_arity", "title": "Wrong Number of Arguments",
+     "message": function(call) {
+        // Only calls to functions from modules say which function it was
+        if (call.name === undefined) {
+            return null;
+        }
+        var expected = call.minimum == call.maximum ? call.minimum : "from "+call.minimum+" to "+call.maximum;
+        return this.fillTemplate("The function <code>{name}</code> was called on line {line} with {given} argument(s), but it expects "+expected+".", call);
+     }},
+    {"code": "incompatible_argument_type", "title": "Incompatible Argument",
+     "message": function(call) {
+        var given = this.TYPE_DESCRIPTION[call.type.name];
+        if (call.expected === null) {
+            var op = this.OPERATION_DESCRIPTION[call.operation];
+            var other = this.TYPE_DESCRIPTION[call.other.name];
+            return this.fillTemplate("You called <code>{name}</code> on line {line} with "+given+" for the parameter <code>{parameter}</code>. But the function (defined on line "+call.definition.line+") uses it in "+op+" operation with "+other+" on line "+call.usage.line+", which you can't do with "+given+". Make sure you are passing in the right kind of value.", call);
+        }
+        var expected = this.TYPE_DESCRIPTION[call.expected.name];
+        if (call.previous === undefined) {
+            // A function from a module, which says what it expects
+            return this.fillTemplate("You called <code>{name}</code> on line {line} with "+given+" for the parameter <code>{parameter}</code>, but it expects "+expected+".", call);
+        } else {
+            return this.fillTemplate("You called <code>{name}</code> on line {line} with "+given+" for the parameter <code>{parameter}</code>. But on line "+call.previous.line+" you called it with "+expected+" instead. It is usually clearer if a function's parameter (defined on line "+call.definition.line+") is always given the same type of value.", call);
+        }
+     }},
+    {"code": "undefined_variable", "title": "Initialization Problem",
+     "message": function(variable) {
+        switch (variable.cause) {
+            case "update":
+                return this.fillTemplate("Line {line} attempts to update the variable <code>{name}</code> with itself, but <code>{name}</code> does not have a value yet. You must initialize a variable before you can update it. Remember that the right side of an assignment statement is evaluated before the left side.", variable);
+            case "loop":
+                return this.fillTemplate("The variable <code>{name}</code> was used on line {line}, but it is only given a value inside of a loop, on line "+variable.assigned.line+". The first time it is used, it does not have a value yet. You may need to initialize it before the loop.", variable);
+            case "later":
+                return this.fillTemplate("Line {line} attempts to use the variable <code>{name}</code> before it is given a value. You give it a value on line "+variable.assigned.line+", but remember that your program executes top-to-bottom.", variable);
+            default:
+                return this.fillTemplate("The variable <code>{name}</code> was used on line {line}, but it was not given a value on a previous line. You cannot use a variable until it has been given a value.", variable)+this.describeSuggestion(variable.suggestion, "variable");
+        }
+     }},
+    {"code": "module_not_found", "title": "Unknown Module",
+     "message": function(module) {
+        // Modules without stubs are fine, but a near-miss is probably a typo
+        if (!module.suggestion) {
+            return null;
+        }
+        return this.fillTemplate("You imported the module <code>{name}</code> on line {line}, but there is no module with that name.", module)+this.describeSuggestion(module.suggestion, "module");
+     }},
+    {"code": "possibly_undefined_variable", "title": "Initialization Problem",
+     "message": function(variable) {
+        if (variable.name == '*return') {
+            return null;
+        }
+        return this.fillTemplate("The variable <code>{name}</code> was used on line {line}, but it was possibly not given a value on a previous line. You cannot use a variable until it has been given a value. Check to make sure that this variable was declared in all of the branches of your decision.", variable);
+     }},
+    {"code": "unread_variable", "title": "Unused Variable", "highlight": false,
+     "message": function(variable) {
+        if (variable.type && variable.type.name == 'Function') {
+            return this.fillTemplate("The function <code>{name}</code> was given a definition, but was never used after that.", variable);
+        }
+        return this.fillTemplate("The variable <code>{name}</code> was given a value, but was never used after that.", variable);
+     }},
+    {"code": "overwritten_variable", "title": "Overwritten Variable",
+     "message": "The variable <code>{name}</code> was given a value, but <code>{name}</code> was changed on line {line} before it was used. One of the times that you gave <code>{name}</code> a value was incorrect."},
+    {"code": "empty_iteration", "title": "Iterating over empty list",
+     "message": function(variable) {
+        if (!variable.name) {
+            return null;
+        }
+        return this.fillTemplate("The variable <code>{name}</code> was set as an empty list, and then you attempted to use it in an iteration on line {line}. You should only iterate over non-empty lists.", variable);
+     }},
+    {"code": "non_list_iteration", "title": "Iterating over non-list",
+     "message": function(variable) {
+        if (!variable.name) {
+            return null;
+        }
+        return this.fillTemplate("The variable <code>{name}</code> is not a list, but you used it in the iteration on line {line}. You should only iterate over sequences like lists.", variable);
+     }},
+    {"code": "incompatible_types", "title": "Incompatible types",
+     "message": function(operation) {
+        var op = this.OPERATION_DESCRIPTION[operation.operation];
+        var left = this.TYPE_DESCRIPTION[operation.left.name];
+        var right = this.TYPE_DESCRIPTION[operation.right.name];
+        return this.fillTemplate("You used "+op+" operation with "+left+" and "+right+" on line {line}. But you can't do that with that operator. Make sure both sides of the operator are the right type.", operation);
+     }},
+    {"code": "read_out_of_scope", "title": "Read out of scope",
+     "message": "You attempted to read a variable from a different scope on line {line}. You should only use variables inside the function they were declared in."}
+];
+
+/**
+ * Replaces each "{key}" in the template with the value's "key" property.
+ */
+BlockPyFeedback.prototype.fillTemplate = function(template, values) {
+    return template.replace(/\{(\w+)\}/g, function(match, key) {
+        return key in values ? values[key] : match;
+    });
+}
+
+/**
+ * Turns an analyzer issue into a message, using its entry from
+ * ANALYZER_MESSAGES.
+ *
+ * @returns {String} The message, or null if the issue shouldn't be shown.
+ */
+BlockPyFeedback.prototype.describeIssue = function(entry, issue) {
+    if (typeof entry.message === "function") {
+        return entry.message.call(this, issue);
+    }
+    return this.fillTemplate(entry.message, issue);
+}
+
 BlockPyFeedback.prototype.presentAnalyzerFeedback = function() {
     var report = this.main.model.execution.reports['analyzer'].issues;
     if (report === undefined) {
@@ -486,79 +834,124 @@ BlockPyFeedback.prototype.presentAnalyzerFeedback = function() {
     if (suppress === true) {
         // Suppress all types of analyzer errors
         return false;
-    } else if (!suppress["Action after return"] && report["Action after return"].length >= 1) {
-        var variable = report["Action after return"][0];
-        this.semanticError("Action after return", "You performed an action after already returning from a function, on line "+variable.position.line+". You can only return on a path once.", variable.position.line)
-        return true;
-    } else if (!suppress['Return outside function'] && report['Return outside function'].length >= 1) {
-        var first = report['Return outside function'][0];
-        this.semanticError("Return outside function", "You attempted to return outside of a function on line "+first.position.line+". But you can only return from within a function.", first.position.line)
-        return true;
-    /*} else if (!suppress['Write out of scope'] && report['Write out of scope'].length >= 1) {
-        var first = report['Write out of scope'][0];
-        this.semanticError("Write out of scope", "You attempted to write a variable from a higher scope (outside the function) on line "+first.position.line+". You should only use variables inside the function they were declared in.", first.position.line)
-        return true;*/
-    } else if (!suppress['Unconnected blocks'] && report["Unconnected blocks"].length >= 1) {
-        var variable = report['Unconnected blocks'][0];
-        this.semanticError("Unconnected blocks", "It looks like you have unconnected blocks on line "+variable.position.line+". Before you run your program, you must make sure that all of your blocks are connected and that there are no unfilled holes.", variable.position.line)
-        return true;
-    } else if (!suppress['Iteration variable is iteration list'] && report['Iteration variable is iteration list'].length >= 1) {
-        var variable = report['Iteration variable is iteration list'][0];
-        this.semanticError("Iteration Problem", "The variable <code>"+variable.name+"</code> was iterated on line "+variable.position.line+", but you used the same variable as the iteration variable. You should choose a different variable name for the iteration variable. Usually, the iteration variable is the singular form of the iteration list (e.g., <code>for dog in dogs:</code>).", variable.position.line)
-        return true;
-    } else if (!suppress["Undefined variables"] && report["Undefined variables"].length >= 1) {
-        var variable = report["Undefined variables"][0];
-        this.semanticError("Initialization Problem", "The variable <code>"+variable.name+"</code> was used on line "+variable.position.line+", but it was not given a value on a previous line. You cannot use a variable until it has been given a value.", variable.position.line)
-        return true;
-    } else if (!suppress["Possibly undefined variables"] && report["Possibly undefined variables"].length >= 1) {
-        var variable = report["Possibly undefined variables"][0];
-        var kindName = 'variable', kindBody = 'value';
-        if (variable.name == '*return') {
-            return false;
-        } else {
-            this.semanticError("Initialization Problem", "The variable <code>"+variable.name+"</code> was used on line "+variable.position.line+", but it was possibly not given a value on a previous line. You cannot use a variable until it has been given a value. Check to make sure that this variable was declared in all of the branches of your decision.", variable.position.line);
-        }
-        return true;
-    } else if (!suppress["Unread variables"] && report["Unread variables"].length >= 1) {
-        var variable = report["Unread variables"][0];
-        var kindName = 'variable', kindBody = 'value';
-        if (variable.type && variable.type.name == 'Function') {
-            kindName = 'function';
-            kindBody = 'definition';
+    }
+    var issues = {};
+    AnalyzerIssues.structureAll(report).forEach(function(issue) {
+        if (!suppress[issue.issue] && !suppress[issue.code]) {
+            issues[issue.code] = (issues[issue.code] || []).concat([issue]);
         }
-        this.semanticError("Unused Variable", "The "+kindName+" <code>"+variable.name+"</code> was given a "+kindBody+", but was never used after that.", null)
-        return true;
-    } else if (!suppress["Overwritten variables"] && report["Overwritten variables"].length >= 1) {
-        var variable = report["Overwritten variables"][0];
-        this.semanticError("Overwritten Variable", "The variable <code>"+variable.name+"</code> was given a value, but <code>"+variable.name+"</code> was changed on line "+variable.position.line+" before it was used. One of the times that you gave <code>"+variable.name+"</code> a value was incorrect.", variable.position.line)
-        return true;
-    } else if (!suppress["Empty iterations"] && report["Empty iterations"].length >= 1) {
-        var variable = report["Empty iterations"][0];
-        if (variable.name) {
-            this.semanticError("Iterating over empty list", "The variable <code>"+variable.name+"</code> was set as an empty list, and then you attempted to use it in an iteration on line "+variable.position.line+". You should only iterate over non-empty lists.", variable.position.line)
-            return true;
+    });
+    if (this.main.model.assignment.list_analyzer_issues()) {
+        return this.presentAnalyzerList(issues);
+    }
+    for (var i = 0, len = this.ANALYZER_MESSAGES.length; i < len; i++) {
+        var entry = this.ANALYZER_MESSAGES[i];
+        if (issues[entry.code] === undefined) {
+            continue;
         }
-    } else if (!suppress["Non-list iterations"] && report["Non-list iterations"].length >= 1) {
-        var variable = report["Non-list iterations"][0];
-        if (variable.name) {
-            this.semanticError("Iterating over non-list", "The variable <code>"+variable.name+"</code> is not a list, but you used it in the iteration on line "+variable.position.line+". You should only iterate over sequences like lists.", variable.position.line)
+        var issue = issues[entry.code][0];
+        var message = this.describeIssue(entry, issue);
+        if (message !== null) {
+            var line = entry.highlight === false ? null : issue.line;
+            this.semanticError(this.fillTemplate(entry.title, issue), message, line);
             return true;
         }
-    } else if (!suppress["Incompatible types"] && report["Incompatible types"].length >= 1) {
-        var variable = report["Incompatible types"][0];
-        var op = this.OPERATION_DESCRIPTION[variable.operation];
-        var left = this.TYPE_DESCRIPTION[variable.left.name];
-        var right = this.TYPE_DESCRIPTION[variable.right.name];
-        this.semanticError("Incompatible types", "You used "+op+" operation with a "+left+" and a "+right+" on line "+variable.position.line+". But you can't do that with that operator. Make sure both sides of the operator are the right type.", variable.position.line)
-        return true;
-    } else if (!suppress['Read out of scope'] && report['Read out of scope'].length >= 1) {
-        var first = report['Read out of scope'][0];
-        this.semanticError("Read out of scope", "You attempted to read a variable from a different scope on line "+first.position.line+". You should only use variables inside the function they were declared in.", first.position.line)
-        return true;
     }
     return false;
 }
 
+/**
+ * Shows every analyzer issue at once (instead of just the most important one),
+ * grouped by severity. Each group can be expanded, and each issue links to its
+ * line in the editor. The first issue's line is highlighted.
+ *
+ * @param {Object} issues - The structured issues, grouped by their code.
+ * @returns {Boolean} Whether there were any issues to show.
+ */
+BlockPyFeedback.prototype.presentAnalyzerList = function(issues) {
+    var groups = {}, first = null, count = 0;
+    this.describeAnalyzerIssues(issues).forEach(function(issue) {
+        var line = issue.highlight ? issue.line : null;
+        if (count === 0) {
+            first = line;
+        }
+        groups[issue.severity] = (groups[issue.severity] || []).concat([{
+            "title": issue.title, "message": issue.message, "line": line
+        }]);
+        count += 1;
+    });
+    if (count === 0) {
+        return false;
+    }
+    var body = $("<div></div>"), expanded = false;
+    AnalyzerIssues.SEVERITIES.forEach(function(severity) {
+        var group = groups[severity];
+        if (group === undefined) {
+            return;
+        }
+        // Only the most severe group starts out expanded
+        var details = $("<details class='blockpy-feedback-issues'></details>")
+            .prop('open', !expanded).appendTo(body);
+        expanded = true;
+        $("<summary></summary>")
+            .text(this.SEVERITY_DESCRIPTION[severity]+" ("+group.length+")")
+            .appendTo(details);
+        var list = $("<ul></ul>").appendTo(details);
+        group.forEach(function(issue) {
+            var item = $("<li></li>").appendTo(list);
+            $("<strong></strong>").html(issue.title).appendTo(item);
+            item.append(": "+issue.message);
+            if (issue.line !== null) {
+                item.append(" ");
+                $("<a href='#' class='blockpy-feedback-line'></a>")
+                    .attr('data-line', issue.line)
+                    .text("(Line "+issue.line+")")
+                    .appendTo(item);
+            }
+        });
+    }, this);
+    this.semanticError(count == 1 ? "1 Problem Found" : count+" Problems Found", body.html(), first);
+    return true;
+}
+
+/**
+ * Describes every analyzer issue that has a message, in the order of
+ * ANALYZER_MESSAGES.
+ *
+ * @param {Object} issues - The structured issues, grouped by their code.
+ * @returns {Array} The issues' descriptions, each with a "title" and a
+ *                  "message" (both HTML), along with the issue's "severity",
+ *                  "line", "column", "name", and whether to "highlight" it.
+ */
+BlockPyFeedback.prototype.describeAnalyzerIssues = function(issues) {
+    var descriptions = [];
+    for (var i = 0, len = this.ANALYZER_MESSAGES.length; i < len; i++) {
+        var entry = this.ANALYZER_MESSAGES[i];
+        (issues[entry.code] || []).forEach(function(issue) {
+            var message = this.describeIssue(entry, issue);
+            if (message !== null) {
+                descriptions.push({"title": this.fillTemplate(entry.title, issue),
+                                   "message": message,
+                                   "severity": issue.severity,
+                                   "line": issue.line,
+                                   "column": issue.column,
+                                   "name": issue.name,
+                                   "highlight": entry.highlight !== false});
+            }
+        }, this);
+    }
+    return descriptions;
+}
+
+/**
+ * How to label each group of issues, by their severity.
+ */
+BlockPyFeedback.prototype.SEVERITY_DESCRIPTION = {
+    "error": "Errors",
+    "warning": "Warnings",
+    "style": "Style Suggestions"
+};
+
 if (typeof exports !== 'undefined') {
     exports.BlockPyFeedback = BlockPyFeedback;
 }
\ No newline at end of file
@@ -0,0 +1,41 @@
+from instructor import *
+from utility import get_blocks
+
+class Block:
+    def __init__(self, data, parent=None):
+        self.id = data['id']
+        self.type = data['type']
+        self.fields = data['fields']
+        self.input = data['input']
+        self.x = data['x']
+        self.y = data['y']
+        self.line = data['line']
+        self.orphan = data['orphan']
+        self.parent = parent
+        self.children = [Block(child, self) for child in data['children']]
+    def find_all(self, type=None):
+        found = []
+        for child in self.children:
+            if type is None or child.type == type:
+                found.append(child)
+            found.extend(child.find_all(type))
+        return found
+    def __repr__(self):
+        return "<Block {} {}>".format(self.type, self.id)
+
+def parse_blocks():
+    return [Block(data) for data in get_blocks()]
+
+def find_blocks(type=None):
+    found = []
+    for block in parse_blocks():
+        if type is None or block.type == type:
+            found.append(block)
+        found.extend(block.find_all(type))
+    return found
+
+def count_blocks(type=None):
+    return len(find_blocks(type))
+
+def orphan_blocks():
+    return [block for block in parse_blocks() if block.orphan]
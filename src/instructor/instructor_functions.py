@@ -1,4 +1,6 @@
 from instructor import *
+from utility import limit_execution_time, unlimit_execution_time, report_unit_tests
+from utility import save_output, restore_output
 
 DELTA = 0.001
 
@@ -141,3 +143,95 @@ def unit_test(name, *tests):
     else:
         gently("The function <code>{}</code> was not defined.".format(name))
         return None
+
+'''
+Run a function on test cases, and report the results
+'''
+def run_unit_tests(name, *cases, **options):
+    timeout = options.get('timeout', 1)
+    tolerance = options.get('tolerance', DELTA)
+    cases = [_normalize_case(case) for case in cases]
+    if name not in student.data or not callable(student.data[name]):
+        results = [_failed_case(case) for case in cases]
+        report_unit_tests({'name': name, 'defined': False,
+                           'results': [_summarize_result(result) for result in results]})
+        return results
+    the_function = student.data[name]
+    results = [_run_case(the_function, case, timeout, tolerance) for case in cases]
+    report_unit_tests({'name': name, 'defined': True,
+                       'results': [_summarize_result(result) for result in results]})
+    return results
+
+def _normalize_case(case):
+    if isinstance(case, dict):
+        return {'arguments': list(case.get('arguments', [])),
+                'has_expected': 'expected' in case,
+                'expected': case.get('expected', None),
+                'output': case.get('output', None),
+                'error': case.get('error', None),
+                'tip': case.get('tip', "")}
+    expected = case[-1]
+    tip = ""
+    if isinstance(expected, tuple):
+        tip = expected[1]
+        expected = expected[0]
+    return {'arguments': list(case[:-1]), 'has_expected': True,
+            'expected': expected, 'output': None, 'error': None, 'tip': tip}
+
+def _failed_case(case):
+    return {'case': case, 'returned': None, 'output': [], 'error': None,
+            'timed_out': False, 'passed': False}
+
+def _run_case(the_function, case, timeout, tolerance):
+    result = _failed_case(case)
+    save_output()
+    limit_execution_time(timeout)
+    try:
+        result['returned'] = the_function(*case['arguments'])
+    except Exception as error:
+        result['error'] = error
+        result['timed_out'] = error.__class__.__name__ == 'TimeLimitError'
+    finally:
+        unlimit_execution_time()
+        result['output'] = get_output()
+        restore_output()
+    if result['error'] is not None:
+        result['passed'] = (case['error'] is not None and
+                            result['error'].__class__.__name__ == case['error'])
+    elif case['error'] is not None:
+        result['passed'] = False
+    else:
+        result['passed'] = ((not case['has_expected'] or
+                             _values_match(case['expected'], result['returned'], tolerance)) and
+                            (case['output'] is None or
+                             _values_match(case['output'], result['output'], tolerance)))
+    return result
+
+def _values_match(expected, actual, tolerance):
+    if (isinstance(expected, float) and isinstance(actual, (float, int)) and
+        not isinstance(actual, bool)):
+        return abs(expected-actual) <= tolerance
+    if isinstance(expected, (list, tuple)) and type(expected) == type(actual):
+        if len(expected) != len(actual):
+            return False
+        for an_expected, an_actual in zip(expected, actual):
+            if not _values_match(an_expected, an_actual, tolerance):
+                return False
+        return True
+    return expected == actual
+
+def _summarize_result(result):
+    case = result['case']
+    error = None
+    if result['error'] is not None:
+        error = "{}: {}".format(result['error'].__class__.__name__, result['error'])
+    return {'arguments': [repr(argument) for argument in case['arguments']],
+            'expected': repr(case['expected']) if case['has_expected'] else None,
+            'expected_output': case['output'],
+            'expected_error': case['error'],
+            'returned': repr(result['returned']),
+            'output': [line for line in result['output'] if isinstance(line, str)],
+            'error': error,
+            'timed_out': result['timed_out'],
+            'passed': result['passed'],
+            'tip': case['tip']}
@@ -0,0 +1,58 @@
+from instructor import *
+from utility import get_trace, get_printed
+
+'''
+Each step of the trace is recorded just before its line runs, so a change
+seen at one step was made by the line of the step before it.
+'''
+
+def find_variable(step, name, function=None):
+    if function is None:
+        return step['variables'].get(name, None)
+    for frame in reversed(step['stack']):
+        if frame['name'] == function:
+            if name in frame['locals']:
+                return frame['locals'][name]
+            return frame['arguments'].get(name, None)
+    return None
+
+def variable_history(name, function=None):
+    history = []
+    previous_line = None
+    for step in get_trace():
+        variable = find_variable(step, name, function)
+        if variable is not None:
+            last = history[-1] if history else None
+            if (last is None or last['type'] != variable['type'] or
+                last['value'] != variable['value'] or
+                last['length'] != variable['length']):
+                history.append({'step': step['step'], 'line': previous_line,
+                                'type': variable['type'],
+                                'value': variable['value'],
+                                'length': variable['length']})
+        previous_line = step['line']
+    return history
+
+def lines_where_changed(name, function=None):
+    lines = []
+    for change in variable_history(name, function):
+        if change['line'] is not None and change['line'] not in lines:
+            lines.append(change['line'])
+    return lines
+
+def changed_between_lines(name, first, last, function=None):
+    for line in lines_where_changed(name, function):
+        if first <= line <= last:
+            return True
+    return False
+
+def value_before_print(name, function=None):
+    printed = get_printed()
+    if not printed:
+        return None
+    first_print = printed[0]['step']
+    value = None
+    for change in variable_history(name, function):
+        if change['step'] < first_print:
+            value = change
+    return value
@@ -0,0 +1,42 @@
+from utility import call_in_sandbox
+def run(): pass
+def reset(): pass
+class Sandbox:
+    def __init__(self, *args, **kwargs):
+        self.time_limit = kwargs.get("time_limit", 1)
+        self.mocks = {}
+        self.inputs = []
+        self.output = []
+        self.exception = None
+        self.timed_out = False
+    def mock(self, name, replacement):
+        self.mocks[name] = replacement
+    def unmock(self, name):
+        if name in self.mocks:
+            del self.mocks[name]
+    def queue_input(self, *lines):
+        self.inputs.extend(lines)
+    def call(self, name, *args):
+        builtins = []
+        patched = []
+        for target in self.mocks:
+            replacement = self.mocks[target]
+            if "." in target:
+                module_name, attribute = target.rsplit(".", 1)
+                module = __import__(module_name)
+                for submodule in module_name.split(".")[1:]:
+                    module = getattr(module, submodule)
+                patched.append((module, attribute, getattr(module, attribute)))
+                setattr(module, attribute, replacement)
+            else:
+                builtins.append((target, replacement))
+        try:
+            result = call_in_sandbox(name, list(args), builtins, self.inputs, self.time_limit)
+        finally:
+            for module, attribute, original in patched:
+                setattr(module, attribute, original)
+        self.inputs = []
+        self.output = result["output"]
+        self.exception = result["error"]
+        self.timed_out = result["timed_out"]
+        return result["value"]
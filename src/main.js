@@ -29,6 +29,14 @@ BlockPy.DEFAULT_MODULES = ['Variables', 'Decisions',
                            'Values', 'Conversion',
                            'Lists', 'Dictionaries']
 
+/**
+ * The default static analyzers to run on the students' code, as named in
+ * BlockPyEngine.ANALYZERS.
+ *
+ * @type Array.<String>
+ */
+BlockPy.DEFAULT_ANALYZERS = ['tifa'];
+
 /**
  * Initializes the BlockPy object by initializing its interface,
  * model, and components.
@@ -198,6 +206,11 @@ BlockPy.prototype.initModel = function(settings) {
             // boolean
             'disable_timeout': ko.observable(false),
             // boolean
+            'show_program_input': ko.observable(false),
+            // Milliseconds between steps when playing back the trace
+            // string
+            'playback_delay': ko.observable('500'),
+            // boolean
             'auto_upload': ko.observable(true),
             // boolean
             'forceUpdate': ko.observable(false),
@@ -217,6 +230,10 @@ BlockPy.prototype.initModel = function(settings) {
         // Assignment level settings
         'assignment': {
             'modules': ko.observableArray(BlockPy.DEFAULT_MODULES),
+            'analyzers': ko.observableArray(BlockPy.DEFAULT_ANALYZERS.slice()),
+            // The body of an extra JavaScript analyzer, see BlockPyEngine.compileAnalyzer
+            // string
+            'analyzer_code': ko.observable(''),
             'files': ko.observableArray([]),
             'assignment_id': ko.observable(null),
             'student_id': ko.observable(null),
@@ -230,8 +247,25 @@ BlockPy.prototype.initModel = function(settings) {
             'upload': ko.observable(false),
             'importable': ko.observable(false),
             'secret': ko.observable(false),
+            // Whether to show all of the analyzer's issues, or one at a time
+            'list_analyzer_issues': ko.observable(false),
             'disable_algorithm_errors': ko.observable(false),
-            'disable_timeout': ko.observable(false)
+            'disable_timeout': ko.observable(false),
+            // Execution limits, where 0 means no limit
+            // number (seconds)
+            'student_time_limit': ko.observable(10),
+            // number (statements executed)
+            'student_step_limit': ko.observable(0),
+            // number (seconds)
+            'instructor_time_limit': ko.observable(0),
+            // number (statements executed)
+            'instructor_step_limit': ko.observable(0),
+            // What to seed the random module with, or blank for a new seed every run
+            // number
+            'random_seed': ko.observable(''),
+            // Named sets of answers for input(), see BlockPy.makeInputScenario
+            // list of objects
+            'input_scenarios': ko.observableArray([])
         },
         // Programs' actual code
         'programs': {
@@ -260,7 +294,22 @@ BlockPy.prototype.initModel = function(settings) {
             // boolean
             'show_trace': ko.observable(false),
             // boolean
+            'playing': ko.observable(false),
+            // Names of the files written by the student's programs this session
+            // list of string
+            'written_files': ko.observableArray([]),
+            // Answers for input(), one per line, used before asking the student
+            // string
+            'scripted_input': ko.observable(''),
+            // Whether the current run can be stopped
+            // boolean
+            'stoppable': ko.observable(false),
+            // boolean
             'trace_off': ko.observable(false),
+            // list of int: lines that execution will pause before
+            'breakpoints': ko.observableArray([]),
+            // integer, or null if the program is not paused
+            'paused_line': ko.observable(null),
             // object: strings => objects
             'reports': {},
             // objects: strings => boolean
@@ -288,6 +337,12 @@ BlockPy.prototype.initModel = function(settings) {
         'constants': {
             // string
             'blocklyPath': settings.blocklyPath,
+            // URL of engine_worker.js, if student code should run in a Web Worker
+            // string
+            'workerPath': settings.workerPath,
+            // URLs of the Skulpt scripts, for the Web Worker to load
+            // list of string
+            'skulptPaths': settings.skulptPaths,
             // boolean
             'blocklyScrollbars': true,
             // string
@@ -338,6 +393,7 @@ BlockPy.prototype.initModelMethods = function() {
             case 'feedback': case "instructor": return ['label-feedback-error', 'Incorrect Answer'];
             case 'complete': return ['label-problem-complete', 'Complete'];
             case 'no errors': return ['label-no-errors', 'No errors'];
+            case 'cancelled': return ['label-default', 'Cancelled'];
         }
     }, this.model);
     
@@ -368,6 +424,7 @@ BlockPy.prototype.initModelMethods = function() {
             case 'student': return ['label-warning', 'Student'];
             case 'instructor': return ['label-warning', 'Instructor'];
             case 'complete': return ['label-success', 'Idle'];
+            case 'cancelled': return ['label-default', 'Cancelled'];
             
         }
     }, this.model);
@@ -384,10 +441,67 @@ BlockPy.prototype.initModelMethods = function() {
         execution.trace_step(next); };
     this.model.moveTraceLast = function(index) { 
         execution.trace_step(execution.last_step()); };
+    this.model.moveTraceTo = function(index) {
+        var step = parseInt(index, 10);
+        if (!isNaN(step)) {
+            execution.trace_step(Math.max(0, Math.min(step, execution.last_step())));
+        }
+    };
     this.model.current_trace = ko.pureComputed(function() {
         //console.log(execution.trace(), execution.trace().length-1, execution.trace_step())
         return execution.trace()[Math.min(execution.trace().length-1, execution.trace_step())];
     });
+    // Two-way binding for the trace slider, which hands back strings
+    this.model.trace_step_slider = ko.pureComputed({
+        read: function() { return execution.trace_step(); },
+        write: this.model.moveTraceTo
+    });
+
+    /**
+     * Compares the current step of the trace against the previous step,
+     * mapping the name of every variable that was created or modified
+     * to either "new" or "changed". Unchanged variables are left out.
+     */
+    this.model.current_trace_changes = ko.pureComputed(function() {
+        var trace = execution.trace();
+        var index = Math.min(trace.length-1, execution.trace_step());
+        var changes = {};
+        if (index < 1) {
+            return changes;
+        }
+        var previous = {};
+        trace[index-1].properties.forEach(function(property) {
+            previous[property.name] = property;
+        });
+        trace[index].properties.forEach(function(property) {
+            var old = previous[property.name];
+            if (old === undefined) {
+                changes[property.name] = 'new';
+            } else if (old.type != property.type || old.value != property.value) {
+                changes[property.name] = 'changed';
+            }
+        });
+        return changes;
+    });
+    
+    /**
+     * The call stack of the current step of the trace, innermost call first,
+     * with a readable signature built from each call's arguments.
+     */
+    this.model.current_trace_stack = ko.pureComputed(function() {
+        var step = this.current_trace();
+        if (step === undefined || step.stack === undefined) {
+            return [];
+        }
+        return step.stack.slice().reverse().map(function(frame) {
+            var args = frame.arguments.map(function(arg) {
+                return arg.value;
+            });
+            return {'signature': frame.name+'('+args.join(', ')+')',
+                    'line': frame.line,
+                    'locals': frame.locals};
+        });
+    }, this.model);
     
     /**
      * Opens a new window to represent the exact value of a Skulpt object.
@@ -400,7 +514,8 @@ BlockPy.prototype.initModelMethods = function() {
     this.model.viewExactValue = function(type, exact_value) {
         return function() {
             if (type == "List") {
-                var output = exact_value.$r().v;
+                // Traces from the Web Worker only have how the list looked
+                var output = typeof exact_value == "string" ? exact_value : exact_value.$r().v;
                 var newWindow = window.open('about:blank', "_blank");
                 newWindow.document.body.innerHTML += "<code>"+output+"</code>";
             }
@@ -427,9 +542,10 @@ BlockPy.prototype.initModelMethods = function() {
         delete self.components.engine.openedFiles[this];
     }
     this.model.viewFile = function() {
-        var contents = self.components.engine.openedFiles[this];
-        self.components.dialog.show("Previewing <code>"+this+"</code>", 
-                                    "<pre>"+contents+"</pre>", 
+        var contents = self.components.engine.findFile(this.valueOf());
+        // Student code picks both the name and the contents
+        self.components.dialog.show("Previewing <code>"+encodeHTML(this.valueOf())+"</code>", 
+                                    $("<pre>").text(contents === undefined ? "" : contents), 
                                     function() {});
     }
     this.model.addFile = function() {
@@ -439,6 +555,55 @@ BlockPy.prototype.initModelMethods = function() {
             self.components.engine.openURL(name, 'file');
         }
     }
+    
+    // Debugger controls
+    this.model.toggleBreakpoint = function(line) {
+        if (execution.breakpoints.indexOf(line) == -1) {
+            execution.breakpoints.push(line);
+        } else {
+            execution.breakpoints.remove(line);
+        }
+    }
+    this.model.debugContinue = function() {
+        self.components.engine.resumeExecution('run');
+    }
+    this.model.debugStepOver = function() {
+        self.components.engine.resumeExecution('over');
+    }
+    this.model.debugStepInto = function() {
+        self.components.engine.resumeExecution('into');
+    }
+    this.model.togglePlayback = function() {
+        execution.playing(!execution.playing());
+    }
+    
+    // Scripted input
+    this.model.toggleProgramInput = function() {
+        modelSettings.show_program_input(!modelSettings.show_program_input());
+    }
+    this.model.chooseInputScenario = function(scenario) {
+        execution.scripted_input(scenario.lines());
+    }
+    this.model.addInputScenario = function() {
+        var name = prompt("Please enter a name for the scenario.");
+        if (name !== null) {
+            self.model.assignment.input_scenarios.push(BlockPy.makeInputScenario(name, ''));
+        }
+    }
+    this.model.removeInputScenario = function(scenario) {
+        self.model.assignment.input_scenarios.remove(scenario);
+    }
+}
+
+/**
+ * Creates a named input scenario: a set of answers for input() (one per
+ * line) that an instructor can attach to an assignment.
+ *
+ * @param {String} name - The name shown to students.
+ * @param {String} lines - The answers, separated by newlines.
+ */
+BlockPy.makeInputScenario = function(name, lines) {
+    return {'name': ko.observable(name), 'lines': ko.observable(lines)};
 }
 
 /**
@@ -504,6 +669,16 @@ BlockPy.prototype.setAssignment = function(settings, assignment, programs) {
                                     assignment.modules.removed || []);
         this.model.assignment['modules'](new_modules);
     }
+    if (assignment.analyzers !== undefined) {
+        var analyzers = assignment.analyzers;
+        if (typeof analyzers === "string") {
+            analyzers = analyzers ? analyzers.split(',') : [];
+        }
+        this.model.assignment['analyzers'](analyzers);
+    }
+    if (assignment.analyzer_code !== undefined && assignment.analyzer_code !== null) {
+        this.model.assignment['analyzer_code'](assignment.analyzer_code);
+    }
     if (assignment.files) {
         this.model.assignment['files'](assignment.files);
     }
@@ -529,9 +704,36 @@ BlockPy.prototype.setAssignment = function(settings, assignment, programs) {
     if (assignment.secret) {
         this.model.assignment['secret'](assignment.secret);
     }
+    if (assignment.list_analyzer_issues) {
+        this.model.assignment['list_analyzer_issues'](assignment.list_analyzer_issues);
+    }
     if (assignment.disable_algorithm_errors) {
         this.model.assignment['disable_algorithm_errors'](assignment.disable_algorithm_errors);
     }
+    if (assignment.student_time_limit !== undefined) {
+        this.model.assignment['student_time_limit'](assignment.student_time_limit);
+    }
+    if (assignment.student_step_limit !== undefined) {
+        this.model.assignment['student_step_limit'](assignment.student_step_limit);
+    }
+    if (assignment.instructor_time_limit !== undefined) {
+        this.model.assignment['instructor_time_limit'](assignment.instructor_time_limit);
+    }
+    if (assignment.instructor_step_limit !== undefined) {
+        this.model.assignment['instructor_step_limit'](assignment.instructor_step_limit);
+    }
+    if (assignment.random_seed !== undefined && assignment.random_seed !== null) {
+        this.model.assignment['random_seed'](assignment.random_seed);
+    }
+    if (assignment.input_scenarios) {
+        var scenarios = assignment.input_scenarios;
+        if (typeof scenarios === "string") {
+            scenarios = JSON.parse(scenarios);
+        }
+        this.model.assignment['input_scenarios'](scenarios.map(function(scenario) {
+            return BlockPy.makeInputScenario(scenario.name, scenario.lines);
+        }));
+    }
     // Programs
     if (programs.__main__ !== undefined) {
         this.model.programs['__main__'](programs.__main__);
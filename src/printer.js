@@ -13,9 +13,50 @@ function BlockPyPrinter(main, tag) {
     /** Keep printer settings available for interested parties */
     this.printerSettings = {};
     
+    // Clicking on some output jumps the trace to the step that produced it
+    var printer = this;
+    this.tag.on('click', '.blockpy-printer-output', function(event) {
+        if (!$(event.target).is('input, button')) {
+            printer.jumpToStep($(this).attr('data-step'));
+        }
+    });
+    
     this.resetPrinter();
 };
 
+/**
+ * Records a printed value in the model's output, along with the step and
+ * line of the student's program that produced it.
+ *
+ * @param {Anything} value - The value that was printed.
+ * @returns {Object} The "step" and "line" that produced the value.
+ */
+BlockPyPrinter.prototype.recordOutput = function(value) {
+    var engine = this.main.components.engine;
+    var position = engine.currentPosition();
+    this.main.model.execution.output.push(value);
+    if (!(this.main.model.settings.mute_printer())) {
+        engine.executionBuffer.printed.push({'step': position.step,
+                                             'line': position.line,
+                                             'output': value});
+    }
+    return position;
+}
+
+/**
+ * Shows the trace at the given step, which will also highlight its line.
+ * Does nothing if there is no trace yet (e.g., the program is still running).
+ *
+ * @param {Number} step - The step of the trace to show.
+ */
+BlockPyPrinter.prototype.jumpToStep = function(step) {
+    var execution = this.main.model.execution;
+    if (execution.trace().length) {
+        execution.show_trace(true);
+        this.main.model.moveTraceTo(step);
+    }
+}
+
 /**
  * Reset the status of the printer, including removing any text in it and
  * fixing its size.
@@ -72,7 +113,7 @@ BlockPyPrinter.getDisabledConfiguration = function() {
  * @param {Number} page - Deprecated, not sure what this even does.
  */
 BlockPyPrinter.prototype.stepPrinter = function(step, page) {
-    $(this.printer).find('.blockpy-printer-output').each(function() {
+    this.tag.find('.blockpy-printer-output').each(function() {
         if ($(this).attr("data-step") <= step) {
             $(this).show();
         } else {
@@ -86,15 +127,16 @@ BlockPyPrinter.prototype.stepPrinter = function(step, page) {
  * @param {String} lineText - A line of text to be printed out.
  */
 BlockPyPrinter.prototype.print = function(lineText) {
-    // Should probably be accessing the model instead of a component...
-    var stepNumber = this.main.components.engine.executionBuffer.step;
-    var lineNumber = this.main.components.engine.executionBuffer.line_number;
     // Perform any necessary cleaning
     if (lineText !== "\n") {
-        this.main.model.execution.output.push(lineText.slice(0, -1));
+        var position = this.recordOutput(lineText.slice(0, -1));
+        var stepNumber = position.step;
+        var lineNumber = position.line;
         var encodedText = encodeHTML(lineText);
         if (!(this.main.model.settings.mute_printer())) {
             var lineContainer = $("<div class='blockpy-printer-output' >");
+            // Playback and jumping to the step both look at the container
+            lineContainer.attr('data-step', stepNumber);
             var lineData = $("<samp></samp>", {
                 'data-toggle': 'tooltip',
                 'data-placement': 'left',
@@ -119,9 +161,9 @@ BlockPyPrinter.prototype.print = function(lineText) {
  * @param {Anything} value - a value to push on the outputList for comparison. For instance, on charts this is typically the data of the chart.
  */
 BlockPyPrinter.prototype.printHtml = function(chart, value) {
-    var step = this.main.model.execution.step();
-    var line = this.main.model.execution.line_number();
-    this.main.model.execution.output.push(value);
+    var position = this.recordOutput(value);
+    var step = position.step;
+    var line = position.line;
     if (!(this.main.model.settings.mute_printer())) {
         var outerDiv = $(Sk.console.png_mode ? chart : chart[0]);//.parent();
         outerDiv.parent().show();
@@ -154,9 +196,9 @@ BlockPyPrinter.prototype.scrollToBottom = function() {
  * @returns {String} Returns the handle on the message box.
  */
 BlockPyPrinter.prototype.printInput = function(promptMessage) {
-    // Should probably be accessing the model instead of a component...
-    var stepNumber = this.main.components.engine.executionBuffer.step;
-    var lineNumber = this.main.components.engine.executionBuffer.line_number;
+    var position = this.main.components.engine.currentPosition();
+    var stepNumber = position.step;
+    var lineNumber = position.line;
     // Perform any necessary cleaning
     if (promptMessage !== "\n") {
         var encodedText = encodeHTML(promptMessage);
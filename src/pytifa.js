@@ -88,6 +88,15 @@ Tifa.prototype.processAst = function(ast) {
     this.nameMap[this.PathId] = {};
     this.definitionChain = [];
     this.pathParents = {};
+    // The instances (and their classes) of the methods being called
+    this.methodChain = [];
+    // The loops being visited, and the paths that can no longer continue
+    this.loopChain = [];
+    this.deadPaths = {};
+    // The functions being called, and the paths that returned from them
+    this.functionChain = [];
+    // The "Undefined variables" issues for each variable not yet assigned
+    this.undefinedReads = {};
     
     // Initialize a new, empty report
     this.initializeReport();
@@ -144,13 +153,16 @@ Tifa.prototype.initializeReport = function() {
             "Aliased built-in": [], // 
             "Method not in Type": [], // A method was used that didn't exist for that type
             "Submodule not found": [],
-            "Module not found": []
+            "Module not found": [],
+            "Attribute used before assignment": [], // Read an attribute that was never set on the object or its class
+            "Method called with wrong arity": [], // Called a method or constructor with the wrong number of arguments
+            "Incompatible argument type": [] // Passed an argument that doesn't match other calls, or how the function uses it
         }
     }
     return this.report;
 }
 Tifa.prototype.reportIssue = function(issue, data) {
-    this.report.issues[issue].push(data)
+    this.report.issues[issue].push(AnalyzerIssues.structure(issue, data))
 }
  
 /*
@@ -228,6 +240,16 @@ Important concepts:
             values?: Type
         Function:
             definition?: JS function object
+            signature?: {min: int, max: int}
+            method?: str (for bound methods and constructors)
+            arity?: {min: int, max: int} (excluding self)
+        Class:
+            class_name: str
+            fields: str => Type (class variables and methods)
+            parent: Class or null
+        Instance:
+            class: Class
+            fields: str => Type (attributes set on this object)
     Literal: Hashable value
     Report:
         success: bool
@@ -282,6 +304,8 @@ Tifa.prototype.visit_Assign = function(node) {
             }
         } else if (target._astname == "Subscript") {
             // TODO: Handle minor type changes (e.g., appending to an inner list)
+        } else if (target._astname == "Attribute") {
+            Tifa.setAttribute(that.visit(target.value), target.attr.v, type);
         }
     }));
 }
@@ -290,7 +314,14 @@ Tifa.prototype.visit_AugAssign = function(node) {
     // Handle value
     var right = this.visit(node.value);
     // Handle target
-    var left = this.visit(node.target);
+    var left, ownerType = null;
+    if (node.target._astname == "Attribute") {
+        ownerType = this.visit(node.target.value);
+        left = this.loadBuiltinAttr(ownerType, node.target.value, 
+                                    node.target.attr.v, Tifa.locate(node.target));
+    } else {
+        left = this.visit(node.target);
+    }
     var name = this.identifyCaller(node.target);
     // Handle op
     var position = Tifa.locate(node);
@@ -306,15 +337,16 @@ Tifa.prototype.visit_AugAssign = function(node) {
             opLookup = opLookup[right.name];
             if (opLookup) {
                 var resultType = opLookup(left, right);
-                this.storeVariable(name, resultType, position);
+                if (ownerType === null) {
+                    this.storeVariable(name, resultType, position);
+                } else {
+                    Tifa.setAttribute(ownerType, node.target.attr.v, resultType);
+                }
                 return resultType;
             }
         }
     }
-    this.reportIssue("Incompatible types", 
-                     {"left": left, "right": right, 
-                      "operation": node.op.name, 
-                      "position": position});
+    this.reportIncompatibleTypes(left, right, node.op.name, position);
     return Tifa._UNKNOWN_TYPE();
 }
 
@@ -364,15 +396,77 @@ Tifa.prototype.visit_BinOp = function(node) {
         if (opLookup) {
             opLookup = opLookup[right.name];
             if (opLookup) {
-                return opLookup(left, right);
+                var result = opLookup(left, right);
+                return Tifa.inheritArgument(Tifa.inheritArgument(result, left), right);
             }
         }
     }
+    this.reportIncompatibleTypes(left, right, node.op.name, Tifa.locate(node));
+    return Tifa._UNKNOWN_TYPE();
+}
+
+/**
+ * Reports an operation on two types that can't be used together. If one of
+ * them came from an argument of the function being checked, and it is the
+ * one that doesn't fit, the call that passed it in is blamed too. An
+ * argument doesn't fit if it can't be used in the operation at all, or if
+ * the other side is a simple value made by the function itself. Otherwise,
+ * either side could be the mistake (mutable arguments are not marked, so a
+ * list could still have come from the call). Nothing is blamed if either
+ * side is unknown.
+ */
+Tifa.prototype.reportIncompatibleTypes = function(left, right, operation, position) {
     this.reportIssue("Incompatible types", 
                      {"left": left, "right": right, 
-                      "operation": node.op.name, 
-                      "position": Tifa.locate(node)});
-    return Tifa._UNKNOWN_TYPE();
+                      "operation": operation, 
+                      "position": position});
+    if (left.name == "*Unknown" || right.name == "*Unknown") {
+        return;
+    }
+    var scope = this.scopeChain[0];
+    var isArgument = function(type) {
+        return type.argument !== undefined && type.argument.scope == scope;
+    };
+    var isLocal = function(type) {
+        return !isArgument(type) && arrayContains(type.name, ["Num", "Str", "Bool"]);
+    };
+    var culprit = null, other;
+    if (isArgument(left) && (isLocal(right) || !Tifa.canOperate(operation, left, "left"))) {
+        culprit = left;
+        other = right;
+    } else if (isArgument(right) && (isLocal(left) || !Tifa.canOperate(operation, right, "right"))) {
+        culprit = right;
+        other = left;
+    }
+    if (culprit !== null) {
+        var argument = culprit.argument;
+        this.reportIssue("Incompatible argument type",
+                         {"name": argument.name, "parameter": argument.parameter,
+                          "type": culprit, "expected": null, "other": other,
+                          "operation": operation, "usage": position,
+                          "position": argument.position, "definition": argument.definition});
+    }
+}
+
+/**
+ * Whether a type can be on the given side of a binary operation with at
+ * least one other type.
+ *
+ * @param {String} operation - The name of the operation (e.g., "Add").
+ * @param {Object} type - The type of the operand.
+ * @param {String} side - Either "left" or "right".
+ */
+Tifa.canOperate = function(operation, type, side) {
+    var lookup = Tifa.VALID_BINOP_TYPES[operation] || {};
+    if (side == "left") {
+        return type.name in lookup;
+    }
+    for (var left in lookup) {
+        if (type.name in lookup[left]) {
+            return true;
+        }
+    }
+    return false;
 }
 
 Tifa.prototype.visit_UnaryOp = function(node) {
@@ -462,12 +556,34 @@ Tifa.prototype.visit_Call = function(node) {
         arguments.push(arg);
     }
     // Handle keywords
+    var keywords = node.keywords.filter(function(keyword) {
+        return keyword.arg !== null;
+    }).map(function(keyword) {
+        return Tifa.getIdentifier(keyword.arg);
+    });
     // Handle starargs
     // Handle kwargs
+    if (functionType.name == 'Class') {
+        functionType = this.defineConstructor(functionType);
+    }
+    if (functionType.arity !== undefined) {
+        var given = arguments.length + node.keywords.length;
+        if (given < functionType.arity.min || given > functionType.arity.max) {
+            this.reportIssue("Method called with wrong arity", 
+                             {"position": position, "name": functionType.method,
+                              "minimum": functionType.arity.min,
+                              "maximum": functionType.arity.max,
+                              "given": given});
+        }
+        // Keep the method itself from complaining too
+        while (arguments.length < functionType.arity.min) {
+            arguments.push(Tifa._UNKNOWN_TYPE());
+        }
+    }
     if (functionType.name == 'Function') {
         if (-1 === this.definitionChain.indexOf(functionType.definition)) {
             this.definitionChain.push(functionType.definition);
-            var result = functionType.definition(this, functionType, calleeName, arguments, position);
+            var result = functionType.definition(this, functionType, calleeName, arguments, position, keywords);
             this.definitionChain.pop();
             return result;
         } else {
@@ -511,56 +627,118 @@ Tifa.prototype.visit_If = function(node) {
     }
     
     // Visit the bodies
-    var thisPathId = this.PathId;
-    //console.log("Enter", thisPathId);
-    this.PathId += 1;
-    var ifPathId = this.PathId;
-    //console.log("Left", ifPathId);
-    this.pathNames.push(ifPathId+'i');
-    this.pathChain.unshift(ifPathId);
-    this.nameMap[ifPathId] = {};
-    this.pathParents[ifPathId] = thisPathId;
-    for (var i = 0, len = node.body.length; i < len; i++) {
-        this.visit(node.body[i]);
-    }
-    this.pathNames.pop()
-    this.pathChain.shift();
+    var thisPathId = this.pathChain[0];
+    var ifPathId = this.enterPath('i');
+    this.visitList(node.body);
+    this.exitPath();
     
-    this.PathId += 1;
-    var elsePathId = this.PathId;
-    //console.log("Right", elsePathId);
-    this.pathNames.push(elsePathId+'e');
-    this.pathChain.unshift(elsePathId);
-    this.nameMap[elsePathId] = {};
-    this.pathParents[elsePathId] = thisPathId;
-    for (var i = 0, len = node.orelse.length; i < len; i++) {
-        this.visit(node.orelse[i]);
-    }
-    this.pathNames.pop()
-    this.pathChain.shift();
+    var elsePathId = this.enterPath('e');
+    this.visitList(node.orelse);
+    this.exitPath();
     
-    // Combine two paths into one
-    for (var ifName in this.nameMap[ifPathId]) {
-        var ename = this.findPathParent(elsePathId, ifName);
-        if (ename) {
-            var combined = this.combineStates(this.nameMap[ifPathId][ifName],
-                                              ename,
-                                              position)
-        } else {
-            var combined = this.combineStates(this.nameMap[ifPathId][ifName], 
-                                              this.nameMap[thisPathId][ifName], 
-                                              position)
+    // Combine the paths that reach the end of the if into one. If neither
+    // does (e.g., both return), what they did is still kept so that anything
+    // after the if can be checked, even though it will never run.
+    var ends = this.livePaths([ifPathId, elsePathId]);
+    if (ends.length) {
+        this.mergePaths(thisPathId, ends, position);
+    } else {
+        this.mergePaths(thisPathId, [this.nameMap[ifPathId], this.nameMap[elsePathId]], position);
+        this.deadPaths[thisPathId] = true;
+    }
+}
+
+/**
+ * Starts a new path branching off of the current one.
+ *
+ * @param {String} suffix - A letter for the human-readable path name.
+ * @returns {Number} The id of the new path.
+ */
+Tifa.prototype.enterPath = function(suffix) {
+    var parentPathId = this.pathChain[0];
+    this.PathId += 1;
+    var pathId = this.PathId;
+    this.pathNames.push(pathId+suffix);
+    this.pathChain.unshift(pathId);
+    this.nameMap[pathId] = {};
+    this.pathParents[pathId] = parentPathId;
+    return pathId;
+}
+
+Tifa.prototype.exitPath = function() {
+    this.pathNames.pop();
+    return this.pathChain.shift();
+}
+
+/**
+ * Gets the names from each of the paths that did not break, continue, or
+ * otherwise stop before reaching their end.
+ */
+Tifa.prototype.livePaths = function(pathIds) {
+    var paths = [];
+    for (var i = 0, len = pathIds.length; i < len; i++) {
+        if (!this.deadPaths[pathIds[i]]) {
+            paths.push(this.nameMap[pathIds[i]]);
+        }
+    }
+    return paths;
+}
+
+/**
+ * Combines the names from several alternative paths into the given path, so
+ * that anything not done on every path is only "maybe" done. If there are
+ * no alternatives, then the given path can never continue.
+ *
+ * @param {Number} pathId - The path the alternatives branched off from.
+ * @param {Array} paths - Each alternative's map of full names to States.
+ * @param {Object} position - Where the paths come back together.
+ */
+Tifa.prototype.mergePaths = function(pathId, paths, position) {
+    if (paths.length == 0) {
+        this.deadPaths[pathId] = true;
+        return;
+    }
+    var names = {};
+    for (var i = 0, len = paths.length; i < len; i++) {
+        for (var name in paths[i]) {
+            names[name] = true;
         }
-        this.nameMap[thisPathId][ifName] = combined;
     }
-    for (var elseName in this.nameMap[elsePathId]) {
-        if (!(ifName in this.nameMap[elsePathId])) {
-            var combined = this.combineStates(this.nameMap[elsePathId][elseName], 
-                                              this.nameMap[thisPathId][elseName],
-                                              position)
-            this.nameMap[thisPathId][elseName] = combined;
+    for (var name in names) {
+        var parentState = this.findPathParent(pathId, name);
+        var states = [], missing = false;
+        for (var i = 0, len = paths.length; i < len; i++) {
+            var state = name in paths[i] ? paths[i][name] : parentState;
+            if (state === undefined) {
+                missing = true;
+            } else {
+                states.push(state);
+            }
+        }
+        var combined = states[0];
+        for (var i = 1, len = states.length; i < len; i++) {
+            combined = this.combineStates(combined, states[i], position);
+        }
+        if (missing) {
+            combined = this.combineStates(combined, null, position);
+        }
+        this.nameMap[pathId][name] = combined;
+    }
+}
+
+/**
+ * Collects everything done on the current path since it branched off from
+ * the given path, as if it had all been done on a single path.
+ */
+Tifa.prototype.flattenPaths = function(untilPathId) {
+    var names = {};
+    for (var i = this.pathChain.indexOf(untilPathId)-1; i >= 0; i--) {
+        var path = this.nameMap[this.pathChain[i]];
+        for (var name in path) {
+            names[name] = path[name];
         }
     }
+    return names;
 }
 
 Tifa.prototype.findPathParent = function(pathId, name) {
@@ -577,52 +755,134 @@ Tifa.prototype.findPathParent = function(pathId, name) {
 }
 
 Tifa.prototype.visit_While = function(node) {
+    var position = Tifa.locate(node);
+    var thisPathId = this.pathChain[0];
+    
     // Visit the conditional
     this.visit(node.test);
     
-    // Visit the bodies
-    var thisPathId = this.PathId;
-    this.PathId += 1;
-    var ifPathId = this.PathId;
-    this.pathNames.push(ifPathId+'i');
-    this.pathChain.unshift(ifPathId);
-    this.nameMap[ifPathId] = {};
-    this.pathNames.pop()
-    this.pathChain.shift();
-    
-    this.PathId += 1;
-    var elsePathId = this.PathId;
-    this.pathNames.push(elsePathId+'e');
-    this.pathChain.unshift(elsePathId);
-    this.nameMap[elsePathId] = {};
-    for (var i = 0, len = node.orelse.length; i < len; i++) {
-        this.visit(node.orelse[i]);
+    // Visit the body, which might not run at all; the loop ends when the
+    // conditional fails, unless that never happens (e.g., "while True")
+    var loop = this.visitLoopBody(node.body, 'w');
+    var exits = Tifa.isAlwaysTrue(node.test) ? [] : [{}].concat(loop.iterations);
+    this.finishLoop(node, loop, exits, position);
+}
+
+/**
+ * Visits the body of a loop in its own path, keeping track of the paths
+ * that break out of it or continue on to the next iteration.
+ *
+ * @returns {Object} The loop, whose "iterations" are the paths that make it
+ *                   back around to the top, and whose "breaks" are the
+ *                   paths that leave it early.
+ */
+Tifa.prototype.visitLoopBody = function(body, suffix) {
+    var loop = {"pathId": this.pathChain[0], "breaks": [], "continues": []};
+    this.loopChain.unshift(loop);
+    var bodyPathId = this.enterPath(suffix);
+    this.visitList(body);
+    this.exitPath();
+    this.loopChain.shift();
+    loop.iterations = loop.continues.concat(this.livePaths([bodyPathId]));
+    return loop;
+}
+
+/**
+ * Combines the paths leaving a loop, and visits its else body on the paths
+ * that did not break.
+ *
+ * @param {Object} node - The While or For node.
+ * @param {Object} loop - The loop, as returned from visitLoopBody.
+ * @param {Array} exits - The paths that end the loop without breaking.
+ * @param {Object} position - Where the loop is.
+ */
+Tifa.prototype.finishLoop = function(node, loop, exits, position) {
+    // The else runs whenever the loop ends without breaking
+    var elsePathId = this.enterPath('e');
+    this.mergePaths(elsePathId, exits, position);
+    this.visitList(node.orelse);
+    this.exitPath();
+    var ends = this.livePaths([elsePathId]);
+    // Breaking out could happen on the first iteration or a later one
+    for (var i = 0, len = loop.breaks.length; i < len; i++) {
+        ends.push(loop.breaks[i]);
+        for (var j = 0, len2 = loop.iterations.length; j < len2; j++) {
+            ends.push(Tifa.layerPaths(loop.iterations[j], loop.breaks[i]));
+        }
     }
-    this.visit(node.test);
-    this.pathNames.pop()
-    this.pathChain.shift();
+    this.mergePaths(loop.pathId, ends, position);
+}
+
+Tifa.prototype.visit_Break = function(node) {
+    var loop = this.loopChain[0];
+    if (loop !== undefined) {
+        loop.breaks.push(this.flattenPaths(loop.pathId));
+        this.deadPaths[this.pathChain[0]] = true;
+    }
+}
+
+Tifa.prototype.visit_Continue = function(node) {
+    var loop = this.loopChain[0];
+    if (loop !== undefined) {
+        loop.continues.push(this.flattenPaths(loop.pathId));
+        this.deadPaths[this.pathChain[0]] = true;
+    }
+}
+
+Tifa.prototype.visit_Try = function(node) {
+    var position = Tifa.locate(node);
+    var thisPathId = this.pathChain[0];
     
-    // Combine two paths into one
-    for (var ifName in this.nameMap[ifPathId]) {
-        var ename = this.findPathParent(elsePathId, ifName);
-        if (ename) {
-            var combined = this.combineStates(this.nameMap[ifPathId][ifName],
-                                              ename,
-                                              Tifa.locate(node))
-        } else {
-            var combined = this.combineStates(this.nameMap[ifPathId][ifName], 
-                                              this.nameMap[elsePathId][thisPathId], 
-                                              Tifa.locate(node))
-        }
-        this.nameMap[thisPathId][ifName] = combined;
+    // The body could be interrupted at any point
+    var tryPathId = this.enterPath('t');
+    this.visitList(node.body);
+    var attempted = Tifa.layerPaths({}, this.nameMap[tryPathId]);
+    // The else continues the body if nothing was raised
+    this.visitList(node.orelse || []);
+    this.exitPath();
+    var ends = this.livePaths([tryPathId]);
+    
+    // Each handler starts from a partially finished body
+    var handlers = node.handlers || [];
+    for (var i = 0, len = handlers.length; i < len; i++) {
+        var handlerPathId = this.enterPath('x');
+        this.mergePaths(handlerPathId, [{}, attempted], position);
+        this.visit(handlers[i]);
+        this.exitPath();
+        ends = ends.concat(this.livePaths([handlerPathId]));
+    }
+    this.mergePaths(thisPathId, ends, position);
+    
+    // The finally always runs afterwards
+    this.visitList(node.finalbody || []);
+}
+// Older versions of the AST split up the two kinds of try statements
+Tifa.prototype.visit_TryExcept = Tifa.prototype.visit_Try;
+Tifa.prototype.visit_TryFinally = Tifa.prototype.visit_Try;
+
+Tifa.prototype.visit_ExceptHandler = function(node) {
+    var position = Tifa.locate(node);
+    if (node.type) {
+        this.visitExceptionType(node.type);
     }
-    for (var elseName in this.nameMap[elsePathId]) {
-        if (!(ifName in this.nameMap[elsePathId])) {
-            var combined = this.combineStates(this.nameMap[elsePathId][elseName], 
-                                              this.nameMap[elsePathId][thisPathId],
-                                              Tifa.locate(node))
-            this.nameMap[thisPathId][elseName] = combined;
+    if (node.name) {
+        var name = node.name._astname == "Name" ? node.name.id.v : Sk.ffi.remapToJs(node.name);
+        this.storeVariable(name, Tifa._UNKNOWN_TYPE(), position);
+    }
+    this.visitList(node.body);
+}
+
+/**
+ * Visits the exception types being caught, skipping any built-in exceptions
+ * (which Tifa doesn't otherwise know about).
+ */
+Tifa.prototype.visitExceptionType = function(node) {
+    if (node._astname == "Tuple") {
+        for (var i = 0, len = node.elts.length; i < len; i++) {
+            this.visitExceptionType(node.elts[i]);
         }
+    } else if (node._astname != "Name" || this.findVariablesScope(node.id.v).exists) {
+        this.visit(node);
     }
 }
 
@@ -692,6 +952,7 @@ Tifa.prototype.visit_comprehension = function(node) {
     var iterSubtype = null;
     if (iterType !== null) {
         iterSubtype = Tifa.indexSequenceType(iterType, Tifa._LITERAL_NUM(0));
+        iterSubtype = Tifa.inheritArgument(iterSubtype, iterType);
     }
     
     // Handle the iteration variable
@@ -748,6 +1009,7 @@ Tifa.prototype.visit_For = function(node) {
     var iterSubtype = null;
     if (iterType !== null) {
         iterSubtype = Tifa.indexSequenceType(iterType, Tifa._LITERAL_NUM(0));
+        iterSubtype = Tifa.inheritArgument(iterSubtype, iterType);
     }
     
     // Handle the iteration variable
@@ -773,52 +1035,200 @@ Tifa.prototype.visit_For = function(node) {
                          {"name": iterVariableName, "position": position});
     }
 
-    // Handle the bodies
-    for (var i = 0, len = node.body.length; i < len; i++) {
-        this.visit(node.body[i]);
-    }
-    for (var i = 0, len = node.orelse.length; i < len; i++) {
-        this.visit(node.orelse[i]);
-    }
+    // Handle the bodies; unlike while loops, Tifa assumes that the body
+    // runs at least once
+    var loop = this.visitLoopBody(node.body, 'f');
+    this.finishLoop(node, loop, loop.iterations, position);
 }
 
 Tifa.prototype.visit_ClassDef = function(node) {
     var className = node.name.v;
     var position = Tifa.locate(node);
-    this.storeVariable(className, {"type": "Class"}, position)
-    // TODO: Define a new scope definition that executes the body
-    // TODO: find __init__, execute that
-    this.generic_visit(node);
+    var classType = Tifa._CLASS_TYPE(className);
+    // Only single inheritance is supported
+    for (var i = 0, len = node.bases.length; i < len; i++) {
+        var baseType = this.visit(node.bases[i]);
+        if (baseType.name == "Class" && classType.parent === null) {
+            classType.parent = baseType;
+        }
+    }
+    this.storeVariable(className, classType, position);
+    // Methods see the variables around the class, not the ones inside it
+    var definitionsScope = this.scopeChain.slice(0);
+    this.ScopeId += 1;
+    this.scopeChain.unshift(this.ScopeId);
+    for (var i = 0, len = node.body.length; i < len; i++) {
+        var statement = node.body[i];
+        if (statement._astname == "FunctionDef") {
+            var method = this.defineFunctionDef(statement, definitionsScope);
+            method.binding = Tifa.getMethodBinding(statement);
+            classType.fields[statement.name.v] = method;
+        } else {
+            this.visit(statement);
+        }
+    }
+    // Anything else assigned in the body becomes a class variable
+    var path = this.nameMap[this.pathChain[0]];
+    var classScope = this.scopeChain.join("/") + "/";
+    for (var fullName in path) {
+        if (fullName == classScope + path[fullName].name) {
+            classType.fields[path[fullName].name] = path[fullName].type;
+        }
+    }
+    this.scopeChain.shift();
+}
+
+/**
+ * Creates the type for calling a class, which makes a new instance and
+ * passes it to the class' __init__ method (if it has one).
+ *
+ * @param {Object} classType - The Class type being called.
+ * @returns {Object} A Function type that returns the new Instance.
+ */
+Tifa.prototype.defineConstructor = function(classType) {
+    var instance = Tifa._INSTANCE_TYPE(classType);
+    var init = Tifa.findClassField(classType, "__init__");
+    if (init === undefined || init.type.name != "Function") {
+        return {"name": "Function", "method": "__init__",
+                "arity": {"min": 0, "max": 0},
+                "definition": function() { return instance; }};
+    }
+    var bound = this.bindMethod(init.type, instance, init.owner, "__init__");
+    return {"name": "Function", "method": "__init__", "arity": bound.arity,
+            "definition": function (analyzer, callType, callName, args, position) {
+                bound.definition(analyzer, callType, callName, args, position);
+                return instance;
+            }};
+}
+
+/**
+ * Creates the type for a method that has been looked up on an instance, so
+ * that calling it passes along the instance as the first argument.
+ *
+ * @param {Object} method - The Function type defined in the class.
+ * @param {Object} instance - The Instance type it was looked up on.
+ * @param {Object} owner - The Class type that defined the method.
+ * @param {String} name - The name of the method.
+ * @returns {Object} A Function type for the bound method.
+ */
+Tifa.prototype.bindMethod = function(method, instance, owner, name) {
+    var bound = {"name": "Function", "method": name};
+    if (method.signature !== undefined) {
+        bound.arity = {"min": Math.max(0, method.signature.min-1),
+                       "max": method.signature.max-1};
+    }
+    bound.definition = function (analyzer, callType, callName, args, position) {
+        if (method.definition === undefined) {
+            return Tifa._UNKNOWN_TYPE();
+        }
+        if (-1 !== analyzer.definitionChain.indexOf(method.definition)) {
+            analyzer.reportIssue("Recursive Call", {"position": position, "name": name});
+            return Tifa._UNKNOWN_TYPE();
+        }
+        analyzer.definitionChain.push(method.definition);
+        analyzer.methodChain.unshift({"instance": instance, "owner": owner});
+        var result = method.definition(analyzer, callType, callName, 
+                                       [instance].concat(args), position);
+        analyzer.methodChain.shift();
+        analyzer.definitionChain.pop();
+        return result;
+    };
+    return bound;
 }
 
 Tifa.prototype.visit_FunctionDef = function(node) {
     // Name
     var functionName = node.name.v;
     var position = Tifa.locate(node);
-    var state = this.storeVariable(functionName, {"name": "Function"}, position);
-    var definitionsScope = this.scopeChain.slice(0);
-    state.type.definition = function(analyzer, callType, callName, parameters, callPosition) {
+    var type = this.defineFunctionDef(node, this.scopeChain.slice(0));
+    var state = this.storeVariable(functionName, type, position);
+    return state.type;
+}
+
+/**
+ * Creates the Function type for a function (or method) definition, which
+ * analyzes the body whenever it is called.
+ *
+ * @param {Object} node - The FunctionDef node.
+ * @param {Array} definitionsScope - The scope chain that the body can see.
+ * @returns {Object} The Function type.
+ */
+Tifa.prototype.defineFunctionDef = function(node, definitionsScope) {
+    var position = Tifa.locate(node);
+    var functionName = node.name.v;
+    var functionType = {"name": "Function", 
+                        "signature": Tifa.getSignature(node.args)};
+    // Default values are evaluated once, where the function is defined
+    var defaults = (node.args.defaults || []).map(this.visit, this);
+    var firstDefault = node.args.args.length - defaults.length;
+    // The first type given to each parameter, and which call gave it
+    var argumentTypes = [];
+    functionType.definition = function(analyzer, callType, callName, parameters, callPosition) {
         // Manage scope
         analyzer.ScopeId += 1;
         var oldScope = analyzer.scopeChain.slice(0);
         analyzer.scopeChain = definitionsScope.slice(0);
         analyzer.scopeChain.unshift(analyzer.ScopeId);
+        var oldLoops = analyzer.loopChain;
+        analyzer.loopChain = [];
         // Process arguments
         var args = node.args.args;
         for (var i = 0; i < args.length; i++) {
             var arg = args[i];
             var name = Sk.ffi.remapToJs(arg.id);
             if (parameters[i] !== undefined) {
-                var parameter = Tifa.copyType(parameters[i]);
+                var given = parameters[i];
+                var expected = argumentTypes[i];
+                if (expected === undefined || Tifa.isTypeVague(expected.type)) {
+                    argumentTypes[i] = {"type": given, "position": callPosition};
+                } else if (!Tifa.isTypeVague(given) && given.name != expected.type.name) {
+                    // Python allows it, so this is only a matter of style; the
+                    // body is checked with this type too, in case it can't be used
+                    analyzer.reportIssue("Incompatible argument type",
+                                         {"name": functionName, "parameter": name,
+                                          "type": given, "expected": expected.type,
+                                          "position": callPosition, "definition": position,
+                                          "previous": expected.position, "severity": "style"});
+                }
+                var parameter = Tifa.copyType(given);
+                if (parameter !== given) {
+                    // Blame this call if the body can't use the argument
+                    parameter.argument = {"name": functionName, "parameter": name,
+                                          "scope": analyzer.ScopeId,
+                                          "position": callPosition, "definition": position};
+                }
                 analyzer.storeVariable(name, parameter, position)
+            } else if (i >= firstDefault) {
+                analyzer.storeVariable(name, Tifa.copyType(defaults[i-firstDefault]), position)
             } else {
                 analyzer.reportIssue('Incorrect Arity', {"position": position})
                 analyzer.storeVariable(name, Tifa._UNKNOWN_TYPE(), position)
             }
         }
+        // Any extra arguments are collected together
+        if (node.args.vararg) {
+            var extra = Tifa._TUPLE_TYPE();
+            extra.subtypes = parameters.slice(args.length);
+            extra.empty = extra.subtypes.length == 0;
+            analyzer.storeVariable(Tifa.getIdentifier(node.args.vararg), extra, position);
+        }
+        if (node.args.kwarg) {
+            analyzer.storeVariable(Tifa.getIdentifier(node.args.kwarg), Tifa._DICT_TYPE(), position);
+        }
+        // The body ends wherever it returns, or by reaching its end
+        var functionPathId = analyzer.pathChain[0];
+        analyzer.functionChain.unshift({"pathId": functionPathId, "returns": [],
+                                        "parameters": Tifa.getParameterNames(node.args)});
+        var bodyPathId = analyzer.enterPath('f');
         for (var i = 0, len = node.body.length; i < len; i++) {
             analyzer.visit(node.body[i]);
         }
+        analyzer.exitPath();
+        var ends = analyzer.functionChain.shift().returns.concat(analyzer.livePaths([bodyPathId]));
+        // A function that always raises an error has nothing to keep
+        if (ends.length) {
+            analyzer.mergePaths(functionPathId, ends, position);
+        }
         var returnState = analyzer.findVariablesScope("*return");
         var returnValue = Tifa._NONE_TYPE();
         if (returnState.exists && returnState.inScope) {
@@ -828,9 +1238,10 @@ Tifa.prototype.visit_FunctionDef = function(node) {
         analyzer.finishScope();
         analyzer.scopeChain.shift();
         analyzer.scopeChain = oldScope;
+        analyzer.loopChain = oldLoops;
         return returnValue;
     }
-    return state.type;
+    return functionType;
 }
 
 Tifa.prototype.visit_Lambda = function(node) {
@@ -844,6 +1255,8 @@ Tifa.prototype.visit_Lambda = function(node) {
         var oldScope = analyzer.scopeChain.slice(0);
         analyzer.scopeChain = definitionsScope.slice(0);
         analyzer.scopeChain.unshift(analyzer.ScopeId);
+        var oldLoops = analyzer.loopChain;
+        analyzer.loopChain = [];
         // Process arguments
         var args = node.args.args;
         for (var i = 0; i < args.length; i++) {
@@ -857,6 +1270,7 @@ Tifa.prototype.visit_Lambda = function(node) {
         analyzer.finishScope();
         analyzer.scopeChain.shift();
         analyzer.scopeChain = oldScope;
+        analyzer.loopChain = oldLoops;
         return returnValue;
         
     }
@@ -874,9 +1288,23 @@ Tifa.prototype.visit_Return = function(node) {
     } else {
         this.returnVariable(Tifa._NONE_TYPE(), position)
     }
+    var call = this.functionChain[0];
+    if (call !== undefined) {
+        call.returns.push(this.flattenPaths(call.pathId));
+        this.deadPaths[this.pathChain[0]] = true;
+    }
+}
+
+Tifa.prototype.visit_Raise = function(node) {
+    this.generic_visit(node);
+    this.deadPaths[this.pathChain[0]] = true;
 }
 
 Tifa.prototype.visit_Attribute = function(node) {
+    // Attributes being assigned are handled by the assignment
+    if (node.ctx.prototype._astname === "Store") {
+        return Tifa._UNKNOWN_TYPE();
+    }
     // Handle value
     var valueType = this.visit(node.value);
     // Handle attr
@@ -1073,6 +1501,19 @@ Tifa.prototype.storeVariable = function(name, type, position) {
     var fullName = this.scopeChain.join("/") + "/" + name;
     var currentPath = this.pathChain[0];
     var variable = this.findVariablesScope(name);
+    // Explain any reads from before the variable's first assignment
+    if (fullName in this.undefinedReads) {
+        var inLoop = this.loopChain.length > 0;
+        this.undefinedReads[fullName].forEach(function(issue) {
+            issue.assigned = position;
+            if (issue.position.line == position.line) {
+                issue.cause = 'update';
+            } else {
+                issue.cause = inLoop ? 'loop' : 'later';
+            }
+        });
+        delete this.undefinedReads[fullName];
+    }
     if (!variable.exists) {
         // Create a new instance of the variable on the current path
         newState = {'name': name, 'trace': [], 'type': type,
@@ -1096,6 +1537,8 @@ Tifa.prototype.storeVariable = function(name, type, position) {
         if (variable.state.set == 'yes' && variable.state.read == 'no') {
             newState.overPosition = position;
             newState.over = 'yes';
+            // Was it written on this path, so it will be overwritten no matter what?
+            newState.overLocal = fullName in this.nameMap[currentPath];
         } else {
             newState.set = 'yes';
             newState.read = 'no';
@@ -1131,8 +1574,7 @@ Tifa.prototype.loadVariable = function(name, position) {
             this.reportIssue("Read out of scope", 
                              {'name': name, 'position':position})
         } else {
-            this.reportIssue("Undefined variables", 
-                             {'name': name, 'position':position})
+            this.reportUndefinedVariable(fullName, name, position);
         }
         state = {'name': name, 'trace': [], 'type': Tifa._UNKNOWN_TYPE(),
                  'read': 'yes', 'set': 'no', 'over': 'no',
@@ -1142,8 +1584,7 @@ Tifa.prototype.loadVariable = function(name, position) {
     } else {
         var newState = Tifa.traceState(variable.state, "load", position);
         if (variable.state.set == 'no') {
-            this.reportIssue("Undefined variables", 
-                             {'name': name, 'position':position})
+            this.reportUndefinedVariable(variable.scopedName, name, position);
         }
         if (variable.state.set == 'maybe') {
             this.reportIssue("Possibly undefined variables", 
@@ -1159,6 +1600,24 @@ Tifa.prototype.loadVariable = function(name, position) {
     }
 }
 
+/**
+ * Reports reading a variable that has not been given a value (yet). Why it
+ * didn't have a value is figured out when (or if) it is first assigned:
+ *   "never": It is never assigned, maybe because its name was mistyped.
+ *   "update": It was assigned on the same line, e.g. "x = x + 1".
+ *   "loop": It is first assigned inside of a loop.
+ *   "later": It is first assigned on a later line.
+ */
+Tifa.prototype.reportUndefinedVariable = function(fullName, name, position) {
+    var issue = {'name': name, 'position': position, 'cause': 'never',
+                 'assigned': null, 'suggestion': this.suggestVariable(name)};
+    this.reportIssue("Undefined variables", issue);
+    if (!(fullName in this.undefinedReads)) {
+        this.undefinedReads[fullName] = [];
+    }
+    this.undefinedReads[fullName].push(issue);
+}
+
 Tifa.prototype.iterateVariable = function(name, position) {
     return this.loadVariable(name, position);
 }
@@ -1175,7 +1634,8 @@ Tifa.prototype.finishScope = function() {
             }
             if (state.read == 'no') {
                 this.reportIssue('Unread variables', 
-                                 {'name': state.name, 'type': state.type})
+                                 {'name': state.name, 'type': state.type,
+                                  'position': state.position})
             }
         }
     }
@@ -1221,6 +1681,9 @@ Tifa.cloneType = function (aType){
         case "Bool": case "Num": case "Str": case "File":
         case "None": case "*Unknown":
             return {"name": aType.name};
+        // Objects are shared, not copied
+        case "Class": case "Instance":
+            return aType;
         default:
             return Tifa._UNKNOWN_TYPE();
     }
@@ -1245,6 +1708,8 @@ Tifa._DICT_OF_TYPE = function(keytype, valuetype) {
 Tifa._TUPLE_TYPE = function() { return {'name': 'Tuple', "subtypes": []} };
 Tifa._NONE_TYPE = function() { return {'name': 'None'} };
 Tifa._UNKNOWN_TYPE = function() { return {'name': '*Unknown'} };
+Tifa._CLASS_TYPE = function(name) { return {'name': 'Class', 'class_name': name, 'fields': {}, 'parent': null} };
+Tifa._INSTANCE_TYPE = function(classType) { return {'name': 'Instance', 'class': classType, 'fields': {}} };
 
 Tifa._LITERAL_NUM = function(i) { return {'type': 'Num', 'value': i }};
 
@@ -1301,11 +1766,9 @@ Tifa.indexSequenceType= function(type, i) {
     
     // Handle type
     if (type.name == "Tuple") {
-        if (i.type == "Num") {
-            return Tifa.cloneType(type.subtypes[i.value]);
-        } else {
-            return Tifa.cloneType(type.subtypes[i]);
-        }
+        var subtype = type.subtypes[i.type == "Num" ? i.value : i];
+        // Indexing past the known elements, e.g. an unfilled *args
+        return subtype === undefined ? Tifa._UNKNOWN_TYPE() : Tifa.cloneType(subtype);
     } else if (type.name == "List") {
         return Tifa.cloneType(type.subtype);
     } else if (type.name == "Generator") {
@@ -1354,6 +1817,8 @@ Tifa.areTypesEqual = function(left, right) {
             }
             return true;
         }
+    } else if (left.name == "Instance" && right.name == "Instance") {
+        return left['class'] === right['class'];
     } else if (left.name == "Dict" && right.name == "Dict") {
         if (left.empty || right.empty) {
             return true;
@@ -1381,6 +1846,86 @@ Tifa.areTypesEqual = function(left, right) {
     }
 }
 
+/**
+ * Looks up a class variable or method, checking the parent classes too.
+ *
+ * @returns {Object} The field's "type" and the Class that it is on ("owner"),
+ *                   or undefined if it was not found.
+ */
+Tifa.findClassField = function(classType, attr) {
+    while (classType) {
+        if (attr in classType.fields) {
+            return {"type": classType.fields[attr], "owner": classType};
+        }
+        classType = classType.parent;
+    }
+    return undefined;
+}
+
+/**
+ * Sets an attribute on an object or class; anything else is ignored.
+ */
+Tifa.setAttribute = function(ownerType, attr, type) {
+    if (ownerType.name == "Instance" || ownerType.name == "Class") {
+        ownerType.fields[attr] = type;
+    }
+}
+
+/**
+ * Determines what a method defined in a class is bound to when it is looked
+ * up: "class" for a classmethod, "static" for a staticmethod (nothing), or
+ * "instance" otherwise.
+ *
+ * @param {Object} node - The FunctionDef node.
+ */
+Tifa.getMethodBinding = function(node) {
+    var decorators = node.decorator_list || [];
+    for (var i = 0, len = decorators.length; i < len; i++) {
+        if (decorators[i]._astname == "Name") {
+            switch (decorators[i].id.v) {
+                case "classmethod": return "class";
+                case "staticmethod": return "static";
+            }
+        }
+    }
+    return "instance";
+}
+
+/**
+ * The names of all of a definition's parameters, including any *args and
+ * **kwargs.
+ *
+ * @param {Object} args - The arguments node of a function definition.
+ */
+Tifa.getParameterNames = function(args) {
+    var names = args.args.map(function(arg) { return Sk.ffi.remapToJs(arg.id); });
+    if (args.vararg) {
+        names.push(Tifa.getIdentifier(args.vararg));
+    }
+    if (args.kwarg) {
+        names.push(Tifa.getIdentifier(args.kwarg));
+    }
+    return names;
+}
+
+/**
+ * Gets a name that older ASTs keep as a plain string, and newer ones as a Name.
+ */
+Tifa.getIdentifier = function(node) {
+    return node._astname == "Name" ? node.id.v : Sk.ffi.remapToJs(node);
+}
+
+/**
+ * The fewest and most positional arguments that a definition accepts.
+ *
+ * @param {Object} args - The arguments node of a function definition.
+ */
+Tifa.getSignature = function(args) {
+    var defaults = args.defaults ? args.defaults.length : 0;
+    return {"min": args.args.length - defaults,
+            "max": args.vararg ? Infinity : args.args.length};
+}
+
 Tifa.isTypeEmptyList = function(type) {
     return (type.name === "List" && type.empty);
 }
@@ -1412,6 +1957,10 @@ Tifa.prototype.combineStates = function(left, right, position) {
         state.read = left.read == 'no' ? 'no' : 'maybe';
         state.set = left.set == 'no' ? 'no' : 'maybe';
         state.over = left.over == 'no' ? 'no' : 'maybe';
+        if (left.overLocal) {
+            state.over = left.over;
+            state.overLocal = true;
+        }
     } else {
         if (!Tifa.areTypesEqual(left.type, right.type)) {
             this.reportIssue("Type changes", 
@@ -1424,6 +1973,15 @@ Tifa.prototype.combineStates = function(left, right, position) {
         if (left.over == 'no') {
             state.overPosition = right.overPosition;
         }
+        // Overwriting on either path is still a mistake
+        if (left.over == 'yes' && left.overLocal) {
+            state.over = 'yes';
+            state.overLocal = true;
+        } else if (right.over == 'yes' && right.overLocal) {
+            state.over = 'yes';
+            state.overLocal = true;
+            state.overPosition = right.overPosition;
+        }
         state.trace.push(right);
     }
     return state;
@@ -1441,12 +1999,38 @@ Tifa.traceState = function(state, method, position) {
     var newState = {
         'type': state.type, 'method': method, 'trace': [state],//state.trace.slice(0),
         'set': state.set, 'read': state.read, 'over': state.over,
-        'overPosition': state.overPosition,
+        'overPosition': state.overPosition, 'overLocal': state.overLocal,
         'name': state.name, 'position': position
     };
     return newState;
 }
 
+/**
+ * Creates a new map of full names to States, using the second map's States
+ * wherever both have a name.
+ */
+Tifa.layerPaths = function(under, over) {
+    var names = {};
+    for (var name in under) {
+        names[name] = under[name];
+    }
+    for (var name in over) {
+        names[name] = over[name];
+    }
+    return names;
+}
+
+/**
+ * Whether a loop's condition is a literal that is always true (e.g., True).
+ */
+Tifa.isAlwaysTrue = function(node) {
+    switch (node._astname) {
+        case "Name": return node.id.v == "True";
+        case "Num": return node.n.v != 0;
+        default: return false;
+    }
+}
+
 /**
  * Correctly clones a type, returning mutable types unchanged.
  * This is necessary for parameters that mutate their passed in types
@@ -1456,12 +2040,32 @@ Tifa.copyType = function(type) {
         // Immutable types:
         case "Str": return Tifa._STR_TYPE();
         case "Num": return Tifa._NUM_TYPE();
+        case "Bool": return Tifa._BOOL_TYPE();
         case "Tuple": return Tifa._TUPLE_TYPE();
         // Mutable types:
         default: return type;
     }
 }
 
+/**
+ * Marks a simple value that was computed from an argument (e.g., a
+ * character of a string argument) as also coming from that argument.
+ */
+Tifa.inheritArgument = function(type, source) {
+    if (source.argument !== undefined && type.argument === undefined &&
+        (type.name == "Num" || type.name == "Str" || type.name == "Bool")) {
+        type.argument = source.argument;
+    }
+    return type;
+}
+
+/**
+ * Whether a type says too little to compare against other types.
+ */
+Tifa.isTypeVague = function(type) {
+    return type.name == "*Unknown" || type.name == "None";
+}
+
 Tifa.mergeTypes = function(left, right) {
     // TODO: Check that lists/sets have the same subtypes
     switch (left.name) {
@@ -1539,6 +2143,13 @@ Tifa.defineFunction = function(definition) {
     return { "name": "Function", "definition": definition};
 }
 
+// The names that Tifa.loadBuiltin knows about
+Tifa.BUILTIN_NAMES = ["print", "int", "abs", "float", "len", "ord", "pow",
+                      "round", "sum", "bool", "all", "any", "isinstance",
+                      "input", "str", "chr", "repr", "open", "map", "list",
+                      "set", "dict", "super", "sorted", "reversed", "filter",
+                      "range", "dir", "max", "min", "zip"];
+
 Tifa.loadBuiltin = function(name) {
     switch (name) {
         // Void functions
@@ -1590,6 +2201,18 @@ Tifa.loadBuiltin = function(name) {
         // Dict functions
         case "dict": 
             return Tifa.defineSupplier(Tifa._DICT_TYPE());
+        // The parent class' view of the current method's instance
+        case "super":
+            return Tifa.defineFunction(
+                function (analyzer, functionType, callee, args, position) {
+                    var context = analyzer.methodChain[0];
+                    if (context === undefined || context.owner.parent === null) {
+                        return Tifa._UNKNOWN_TYPE();
+                    }
+                    return {'name': 'Instance', 'class': context.owner.parent,
+                            'fields': context.instance.fields};
+                }
+            );
         // Pass through
         case "sorted": case "reversed": case "filter":
             return Tifa.defineIdentity();
@@ -1624,116 +2247,105 @@ Tifa.loadBuiltin = function(name) {
     }
 }
 
-Tifa.MODULES = {
-    'matplotlib': {
-        'name': 'Module',
-        'submodules': {
-            'pyplot': {
-                'name': 'Module',
-                'fields': {
-                    'plot': Tifa.defineSupplier(Tifa._NONE_TYPE()),
-                    'hist': Tifa.defineSupplier(Tifa._NONE_TYPE()),
-                    'scatter': Tifa.defineSupplier(Tifa._NONE_TYPE()),
-                    'show': Tifa.defineSupplier(Tifa._NONE_TYPE()),
-                    'xlabel': Tifa.defineSupplier(Tifa._NONE_TYPE()),
-                    'ylabel': Tifa.defineSupplier(Tifa._NONE_TYPE()),
-                    'title': Tifa.defineSupplier(Tifa._NONE_TYPE()),
-                }
+/**
+ * Converts a type from a (normalized) type stub into a Tifa type.
+ *
+ * @param {Object} stub - The type from the stub.
+ * @param {String} name - The full name of the module or field (e.g.,
+ *                        "stocks.get_current"), if it has one.
+ */
+Tifa.typeFromStub = function(stub, name) {
+    switch (stub.type) {
+        case "int": case "float": return Tifa._NUM_TYPE();
+        case "str": return Tifa._STR_TYPE();
+        case "bool": return Tifa._BOOL_TYPE();
+        case "None": return Tifa._NONE_TYPE();
+        case "file": return Tifa._FILE_TYPE();
+        case "any": return Tifa._UNKNOWN_TYPE();
+        case "list": return Tifa._LIST_OF_TYPE(Tifa.typeFromStub(stub.of));
+        case "set": return Tifa._SET_OF_TYPE(Tifa.typeFromStub(stub.of));
+        case "tuple":
+            var tupleType = Tifa._TUPLE_TYPE();
+            tupleType.subtypes = stub.of.map(function(subtype) {
+                return Tifa.typeFromStub(subtype);
+            });
+            return tupleType;
+        case "dict":
+            return Tifa._DICT_OF_TYPE(Tifa.typeFromStub(stub.keys),
+                                      Tifa.typeFromStub(stub.values));
+        case "record":
+            var literals = [], values = [];
+            for (var key in stub.fields) {
+                literals.push({"type": "Str", "value": key});
+                values.push(Tifa.typeFromStub(stub.fields[key]));
             }
-        }
-    },
-    'pprint': {
-        'name': "Module",
-        'fields': {
-            'pprint': Tifa.defineSupplier(Tifa._NONE_TYPE())
-        }
-    },
-    'random': {
-        'name': "Module",
-        'fields': {
-            'randint': Tifa.defineSupplier(Tifa._NUM_TYPE())
-        }
-    },
-    'turtle': {
-        'name': "Module",
-        'fields': {
-            'forward': Tifa.defineSupplier(Tifa._NONE_TYPE()),
-            'backward': Tifa.defineSupplier(Tifa._NONE_TYPE()),
-            'color': Tifa.defineSupplier(Tifa._NONE_TYPE()),
-            'right': Tifa.defineSupplier(Tifa._NONE_TYPE()),
-            'left': Tifa.defineSupplier(Tifa._NONE_TYPE()),
-        }
-    },
-    'parking': {
-        'name': "Module",
-        'fields': {
-            'Time': Tifa.defineSupplier({'name': 'Time'}),
-            'now': Tifa.defineSupplier({'name': 'Time'}),
-            'Day': Tifa.defineSupplier({'name': 'Date'}),
-            'today': Tifa.defineSupplier({'name': 'Date'}),
-        }
-    },
-    'math': {
-        'name': "Module",
-        'fields': {
-            'ceil': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'copysign': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'fabs': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'factorial': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'floor': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'fmod': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'frexp': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'fsum': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'gcd': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'isclose': Tifa.defineSupplier(Tifa._BOOL_TYPE()),
-            'isfinite': Tifa.defineSupplier(Tifa._BOOL_TYPE()),
-            'isinf': Tifa.defineSupplier(Tifa._BOOL_TYPE()),
-            'isnan': Tifa.defineSupplier(Tifa._BOOL_TYPE()),
-            'ldexp': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'modf': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'trunc': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'exp': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'expm1': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'log': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'log1p': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'log2': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'log10': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'pow': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'sqrt': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'acos': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'sin': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'cos': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'tan': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'asin': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'acos': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'atan': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'atan2': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'hypot': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'degrees': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'radians': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'sinh': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'cosh': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'tanh': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'asinh': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'acosh': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'atanh': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'erf': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'erfc': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'gamma': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'lgamma': Tifa.defineSupplier(Tifa._NUM_TYPE()),
-            'pi': Tifa._NUM_TYPE(),
-            'e': Tifa._NUM_TYPE(),
-            'tau': Tifa._NUM_TYPE(),
-            'inf': Tifa._NUM_TYPE(),
-            'nan': Tifa._NUM_TYPE(),
+            return Tifa._DICT_LITERAL_TYPE(literals, values);
+        case "function":
+            var returnType = Tifa.typeFromStub(stub.returns);
+            if (stub.parameters === null) {
+                return Tifa.defineSupplier(returnType);
+            }
+            return Tifa.defineFunction(function(analyzer, type, callee, args, position, keywords) {
+                analyzer.checkStubArguments(name || callee, stub.parameters, args, keywords, position);
+                return Tifa.cloneType(returnType);
+            });
+        case "module":
+            var moduleType = Tifa._MODULE_TYPE();
+            for (var field in stub.fields) {
+                moduleType.fields[field] = Tifa.typeFromStub(stub.fields[field], name+"."+field);
+            }
+            for (var submodule in stub.submodules) {
+                moduleType.submodules[submodule] = Tifa.typeFromStub(stub.submodules[submodule],
+                                                                     name+"."+submodule);
+            }
+            return moduleType;
+        default:
+            return {'name': stub.type};
+    }
+}
+
+/**
+ * Checks the arguments of a call to a function from a type stub against its
+ * parameters: that there are not too many or too few, and that each one
+ * given by position has the type that the stub expects (when both are known).
+ *
+ * @param {String} name - The full name of the function.
+ * @param {Array} parameters - The normalized parameters from the stub.
+ * @param {Array} args - The types of the positional arguments.
+ * @param {Array} keywords - The names of the keyword arguments.
+ * @param {Object} position - Where the call is.
+ */
+Tifa.prototype.checkStubArguments = function(name, parameters, args, keywords, position) {
+    keywords = keywords || [];
+    var minimum = parameters.filter(function(parameter) {
+        return !parameter.optional;
+    }).length;
+    var missing = parameters.some(function(parameter, i) {
+        return !parameter.optional && i >= args.length &&
+               keywords.indexOf(parameter.name) == -1;
+    });
+    var given = args.length + keywords.length;
+    if (missing || given > parameters.length) {
+        this.reportIssue("Incorrect Arity",
+                         {"name": name, "position": position, "given": given,
+                          "minimum": minimum, "maximum": parameters.length});
+    }
+    for (var i = 0; i < args.length && i < parameters.length; i++) {
+        var expected = Tifa.typeFromStub(parameters[i].type);
+        if (!Tifa.isTypeVague(args[i]) && !Tifa.isTypeVague(expected) &&
+            args[i].name != expected.name) {
+            this.reportIssue("Incompatible argument type",
+                             {"name": name, "parameter": parameters[i].name,
+                              "type": args[i], "expected": expected,
+                              "position": position});
         }
     }
 }
 
 Tifa.prototype.loadModule = function(chain, position) {
     var moduleNames = chain.split('.');
-    if (moduleNames[0] in Tifa.MODULES) {
-        var baseModule = Tifa.MODULES[moduleNames[0]];
+    if (moduleNames[0] in TypeStubs.MODULES) {
+        var baseModule = Tifa.typeFromStub(TypeStubs.MODULES[moduleNames[0]], moduleNames[0]);
         for (var i=1, len=moduleNames.length; i<len; i++) {
             if (baseModule.name == "Module" && 
                 moduleNames[i] in baseModule.submodules) {
@@ -1745,12 +2357,142 @@ Tifa.prototype.loadModule = function(chain, position) {
         }
         return baseModule;
     } else {
+        var modules = Object.keys(TypeStubs.MODULES).map(function(name) {
+            return {"name": name, "match": name, "type": Tifa._MODULE_TYPE()};
+        });
         this.reportIssue("Module not found",
-                         {"name": chain, "position": position});
+                         {"name": chain, "position": position,
+                          "suggestion": Tifa.suggestName(moduleNames[0], modules)});
         return Tifa._MODULE_TYPE();
     }
 }
 
+/**
+ * Gets every variable that could be read right now, with its current type.
+ *
+ * @returns {Object} A map of variable names to their types.
+ */
+Tifa.prototype.findVisibleVariables = function() {
+    var variables = {};
+    for (var j = 0, slen = this.scopeChain.length; j < slen; j++) {
+        var prefix = this.scopeChain.slice(j).join("/") + "/";
+        for (var i = 0, plen = this.pathChain.length; i < plen; i++) {
+            var path = this.nameMap[this.pathChain[i]];
+            for (var fullName in path) {
+                var name = fullName.substr(prefix.length);
+                if (fullName.indexOf(prefix) === 0 && name.indexOf("/") === -1 &&
+                    name.charAt(0) != "*" && !(name in variables)) {
+                    variables[name] = path[fullName];
+                }
+            }
+        }
+    }
+    for (var name in variables) {
+        if (variables[name].set == 'no') {
+            delete variables[name];
+        } else {
+            variables[name] = variables[name].type;
+        }
+    }
+    return variables;
+}
+
+/**
+ * Looks for a variable, built-in, or member of an imported module that has
+ * a name similar to a variable that wasn't defined.
+ *
+ * @param {String} name - The name of the undefined variable.
+ * @returns {Object} The suggestion (see Tifa.suggestName), or null.
+ */
+Tifa.prototype.suggestVariable = function(name) {
+    // A parameter is not a typo, even if it somehow has no value
+    for (var i = 0, len = this.functionChain.length; i < len; i++) {
+        if (this.functionChain[i].parameters.indexOf(name) != -1) {
+            return null;
+        }
+    }
+    var candidates = [];
+    var variables = this.findVisibleVariables();
+    for (var variable in variables) {
+        var type = variables[variable];
+        candidates.push({"name": variable, "match": variable, "type": type});
+        if (type.name == "Module") {
+            for (var field in type.fields) {
+                candidates.push({"name": variable+"."+field, "match": field,
+                                 "type": type.fields[field]});
+            }
+        }
+    }
+    Tifa.BUILTIN_NAMES.forEach(function(builtin) {
+        if (!(builtin in variables)) {
+            candidates.push({"name": builtin, "match": builtin,
+                             "type": Tifa.loadBuiltin(builtin)});
+        }
+    });
+    candidates.push({"name": "True", "match": "True", "type": Tifa._BOOL_TYPE()},
+                    {"name": "False", "match": "False", "type": Tifa._BOOL_TYPE()},
+                    {"name": "None", "match": "None", "type": Tifa._NONE_TYPE()});
+    return Tifa.suggestName(name, candidates);
+}
+
+/**
+ * Finds the candidate closest to a name that couldn't be found, in case
+ * the name was a typo. Only candidates that are a couple of edits away
+ * (and not entirely different, for short names) are considered.
+ *
+ * @param {String} name - The name that couldn't be found.
+ * @param {Array} candidates - The known names, as {name, match, type}, where
+ *                             the name is suggested if it "match"es closely.
+ * @returns {Object} The closest candidate as {name, type, distance}, or null.
+ */
+Tifa.suggestName = function(name, candidates) {
+    var best = null;
+    var bestDistance = name.length <= 3 ? 2 : 3;
+    for (var i = 0, len = candidates.length; i < len; i++) {
+        var candidate = candidates[i];
+        if (candidate.name == name) {
+            continue;
+        }
+        var distance = Tifa.editDistance(name, candidate.match);
+        if (distance < bestDistance &&
+            distance < Math.min(name.length, candidate.match.length)) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    if (best === null) {
+        return null;
+    }
+    return {"name": best.name, "type": best.type, "distance": bestDistance};
+}
+
+/**
+ * The number of insertions, deletions, substitutions, and swaps of
+ * neighboring characters needed to turn one string into another.
+ */
+Tifa.editDistance = function(first, second) {
+    var distances = [];
+    for (var i = 0; i <= first.length; i++) {
+        distances[i] = [i];
+    }
+    for (var j = 0; j <= second.length; j++) {
+        distances[0][j] = j;
+    }
+    for (var i = 1; i <= first.length; i++) {
+        for (var j = 1; j <= second.length; j++) {
+            var cost = first.charAt(i-1) == second.charAt(j-1) ? 0 : 1;
+            distances[i][j] = Math.min(distances[i-1][j] + 1,
+                                       distances[i][j-1] + 1,
+                                       distances[i-1][j-1] + cost);
+            if (i > 1 && j > 1 && first.charAt(i-1) == second.charAt(j-2) &&
+                first.charAt(i-2) == second.charAt(j-1)) {
+                distances[i][j] = Math.min(distances[i][j], distances[i-2][j-2] + 1);
+            }
+        }
+    }
+    return distances[first.length][second.length];
+}
+
 Tifa.prototype.loadBuiltinAttr = function(type, func, attr, position) {
     switch (type.name) {
         case "File":
@@ -1767,7 +2509,8 @@ Tifa.prototype.loadBuiltinAttr = function(type, func, attr, position) {
                 case "append": return Tifa.defineFunction(
                     function (analyzer, functionType, callee, args, position) {
                         if (args.length) {
-                            if (callee) {
+                            // Appending to an attribute only changes the list, not its owner
+                            if (callee && func !== null && func._astname == "Name") {
                                 analyzer.appendVariable(callee, Tifa._LIST_OF_TYPE(Tifa.cloneType(args[0])), position);
                             }
                             type.empty = false;
@@ -1798,6 +2541,37 @@ Tifa.prototype.loadBuiltinAttr = function(type, func, attr, position) {
                 );
             };
             break;
+        case "Instance":
+            if (attr in type.fields) {
+                return type.fields[attr];
+            }
+            var member = Tifa.findClassField(type['class'], attr);
+            if (member !== undefined) {
+                if (member.type.name == "Function" && member.type.signature !== undefined) {
+                    switch (member.type.binding) {
+                        case "static": return member.type;
+                        case "class": return this.bindMethod(member.type, type['class'], member.owner, attr);
+                        default: return this.bindMethod(member.type, type, member.owner, attr);
+                    }
+                }
+                return member.type;
+            }
+            this.reportIssue("Attribute used before assignment", 
+                             {'name': attr, 'position': position,
+                              'class_name': type['class'].class_name});
+            return Tifa._UNKNOWN_TYPE();
+        case "Class":
+            var member = Tifa.findClassField(type, attr);
+            if (member !== undefined) {
+                if (member.type.name == "Function" && member.type.binding == "class") {
+                    return this.bindMethod(member.type, type, member.owner, attr);
+                }
+                return member.type;
+            }
+            this.reportIssue("Attribute used before assignment", 
+                             {'name': attr, 'position': position,
+                              'class_name': type.class_name});
+            return Tifa._UNKNOWN_TYPE();
         case "Module":
             if ("fields" in type) {
                 if (attr in type.fields) {
@@ -90,10 +90,22 @@ BlockPyServer.prototype.createSubscriptions = function() {
     model.assignment.parsons.subscribe(function(e) { server.saveAssignment(); });
     model.assignment.importable.subscribe(function(e) { server.saveAssignment(); });
     model.assignment.secret.subscribe(function(e) { server.saveAssignment(); });
+    model.assignment.list_analyzer_issues.subscribe(function(e) { server.saveAssignment(); });
     model.assignment.disable_algorithm_errors.subscribe(function(e) { server.saveAssignment(); });
     model.assignment.disable_timeout.subscribe(function(e) { server.saveAssignment(); });
+    model.assignment.student_time_limit.subscribe(function(e) { server.saveAssignment(); });
+    model.assignment.student_step_limit.subscribe(function(e) { server.saveAssignment(); });
+    model.assignment.instructor_time_limit.subscribe(function(e) { server.saveAssignment(); });
+    model.assignment.instructor_step_limit.subscribe(function(e) { server.saveAssignment(); });
+    model.assignment.random_seed.subscribe(function(e) { server.saveAssignment(); });
+    // Scenarios are edited in place, so watch their contents too
+    ko.computed(function() {
+        return ko.toJSON(model.assignment.input_scenarios);
+    }).subscribe(function(e) { server.saveAssignment(); });
     model.assignment.initial_view.subscribe(function(e) { server.saveAssignment(); });
     model.assignment.files.subscribe(function(e) { server.saveAssignment(); });
+    model.assignment.analyzers.subscribe(function(e) { server.saveAssignment(); });
+    model.assignment.analyzer_code.subscribe(function(e) { server.saveAssignment(); });
     //model.settings.editor.subscribe(function(newValue) { server.logEvent('editor', newValue); });
     model.execution.show_trace.subscribe(function(newValue) { server.logEvent('trace', newValue); });
     model.execution.trace_step.subscribe(function(newValue) { server.logEvent('trace_step', newValue); });
@@ -308,12 +320,21 @@ BlockPyServer.prototype.saveAssignment = function() {
         data['initial'] = model.assignment.initial_view();
         data['importable'] = model.assignment.importable();
         data['secret'] = model.assignment.secret();
+        data['list_analyzer_issues'] = model.assignment.list_analyzer_issues();
         data['disable_algorithm_errors'] = model.assignment.disable_algorithm_errors();
         data['disable_timeout'] = model.assignment.disable_timeout();
+        data['student_time_limit'] = model.assignment.student_time_limit();
+        data['student_step_limit'] = model.assignment.student_step_limit();
+        data['instructor_time_limit'] = model.assignment.instructor_time_limit();
+        data['instructor_step_limit'] = model.assignment.instructor_step_limit();
+        data['random_seed'] = model.assignment.random_seed();
+        data['input_scenarios'] = ko.toJSON(model.assignment.input_scenarios);
         data['name'] = model.assignment.name();
         // TODO: hackish, broken if ',' is in name
         data['modules'] = model.assignment.modules().join(',');
         data['files'] = model.assignment.files().join(',');
+        data['analyzers'] = model.assignment.analyzers().join(',');
+        data['analyzer_code'] = model.assignment.analyzer_code();
         
         this._postLatestRetry(data, this.urls.save_assignment, 'assignment', 
                               'ASSIGNMENTS_CACHE', this.TIMER_DELAY);
@@ -65,6 +65,39 @@ var $sk_mod_instructor = function(name) {
         }
     });
     
+    /**
+     * Sets aside the students' output, leaving it empty (like reset_output),
+     * until the matching restore_output puts it back. Anything printed in
+     * between is thrown away. This lets instructor code capture the output
+     * of calls to the students' functions without losing their own output.
+     */
+    var savedOutputs = [];
+    mod.save_output = new Sk.builtin.func(function() {
+        Sk.builtin.pyCheckArgs("save_output", arguments, 0, 0);
+        if (Sk.executionReports['student'].success) {
+            savedOutputs.push(Sk.executionReports['student']['output'].removeAll());
+        } else {
+            savedOutputs.push(null);
+        }
+    });
+    mod.restore_output = new Sk.builtin.func(function() {
+        Sk.builtin.pyCheckArgs("restore_output", arguments, 0, 0);
+        var saved = savedOutputs.pop();
+        if (saved !== undefined && saved !== null) {
+            Sk.executionReports['student']['output'](saved);
+        }
+    });
+    
+    /**
+     * This function returns a dictionary mapping the names of the files that
+     * the students' code wrote to their current contents.
+     */
+    mod.get_written_files = new Sk.builtin.func(function() {
+        Sk.builtin.pyCheckArgs("get_written_files", arguments, 0, 0);
+        var files = Sk.executionReports['student']['files'] || {};
+        return Sk.ffi.remapToPy(files);
+    });
+    
     mod.queue_input = new Sk.builtin.func(function() {
         Sk.builtin.pyCheckArgs("queue_input", arguments, 1, Infinity);
         var args = arguments;
@@ -92,6 +125,78 @@ var $sk_mod_instructor = function(name) {
         }
     });
     
+    /**
+     * Converts a list of traced variables into a dictionary mapping their
+     * names to their "type", "value" (as a string), and "length" (for
+     * sequences, otherwise null).
+     */
+    var snapshotVariables = function(variables) {
+        var snapshot = {};
+        (variables || []).forEach(function(variable) {
+            snapshot[variable.name] = {
+                'type': variable.type,
+                'value': variable.value,
+                'length': variable.length === undefined ? null : variable.length
+            };
+        });
+        return snapshot;
+    };
+    
+    /**
+     * This function returns every step of the students' last run (even if it
+     * failed partway), as a list of dictionaries. Each step has the "step",
+     * "line", and "column" that was about to run, the global "variables" at
+     * that point, the "stack" of function calls (each with its "name", the
+     * "line" it was called from, and its "arguments" and "locals"), and the
+     * value "returned" by a function on the previous step (or None).
+     */
+    mod.get_trace = new Sk.builtin.func(function() {
+        Sk.builtin.pyCheckArgs("get_trace", arguments, 0, 0);
+        var trace = Sk.executionReports['student'].trace || [];
+        return mixedRemapToPy(trace.map(function(step) {
+            var returned = null;
+            if (step.returned) {
+                returned = {'name': step.returned.name,
+                            'value': snapshotVariables([step.returned.value])['return']};
+            }
+            return {
+                'step': step.step,
+                'line': step.line,
+                'column': step.column,
+                'variables': snapshotVariables(step.properties),
+                'stack': (step.stack || []).map(function(frame) {
+                    return {'name': frame.name, 'line': frame.line,
+                            'arguments': snapshotVariables(frame.arguments),
+                            'locals': snapshotVariables(frame.locals)};
+                }),
+                'returned': returned
+            };
+        }));
+    });
+    
+    /**
+     * This function returns everything the students' last run printed, as a
+     * list of dictionaries with the "step" and "line" that printed it and
+     * the "output" itself.
+     */
+    mod.get_printed = new Sk.builtin.func(function() {
+        Sk.builtin.pyCheckArgs("get_printed", arguments, 0, 0);
+        var printed = Sk.executionReports['student'].printed || [];
+        return mixedRemapToPy(printed.map(function(print) {
+            return {'step': print.step, 'line': print.line,
+                    'output': typeof print.output == "string" ? print.output : null};
+        }));
+    });
+    
+    /**
+     * This function returns the blocks in the students' workspace, as a list
+     * of the top-level blocks (see BlockPyEditor.getBlockTree).
+     */
+    mod.get_blocks = new Sk.builtin.func(function() {
+        Sk.builtin.pyCheckArgs("get_blocks", arguments, 0, 0);
+        return mixedRemapToPy(Sk.executionReports['instructor'].blocks || []);
+    });
+    
     /**
      *
      */
@@ -120,19 +225,161 @@ var $sk_mod_instructor = function(name) {
                 Sk.executionReports['student'].error.tp$name == 'TimeLimitError';
     });
     
-    var backupTime = undefined;
-    mod.limit_execution_time = new Sk.builtin.func(function() {
-        Sk.builtin.pyCheckArgs("limit_execution_time", arguments, 0, 0);
-        backupTime = Sk.execLimit;
-        if (Sk.execLimitFunction) {
+    /**
+     * Each call to limit_execution_time saves the limit it replaced, so that
+     * the matching unlimit_execution_time can put it back exactly (just like
+     * call_in_sandbox does), even when the calls are nested.
+     */
+    var savedLimits = [];
+    mod.limit_execution_time = new Sk.builtin.func(function(seconds) {
+        Sk.builtin.pyCheckArgs("limit_execution_time", arguments, 0, 1);
+        savedLimits.push({'execLimit': Sk.execLimit, 'execStart': Sk.execStart});
+        if (seconds !== undefined) {
+            Sk.builtin.pyCheckType("seconds", "number", Sk.builtin.checkNumber(seconds));
+            Sk.execLimit = 1000*Sk.ffi.remapToJs(seconds);
+            Sk.execStart = Date.now();
+        } else if (Sk.execLimitFunction) {
             Sk.execLimit = Sk.execLimitFunction();
             Sk.execStart = Date.now();
         }
     });
     mod.unlimit_execution_time = new Sk.builtin.func(function() {
         Sk.builtin.pyCheckArgs("unlimit_execution_time", arguments, 0, 0);
-        Sk.execLimit = backupTime;
-        Sk.execStart = Date.now()
+        var saved = savedLimits.pop();
+        if (saved !== undefined) {
+            Sk.execLimit = saved.execLimit;
+            Sk.execStart = saved.execStart;
+        }
+    });
+    
+    /**
+     * Records the results of running a function on some test cases, so that
+     * they can be shown to the student and counted towards their score.
+     */
+    mod.report_unit_tests = new Sk.builtin.func(function(tests) {
+        Sk.builtin.pyCheckArgs("report_unit_tests", arguments, 1, 1);
+        Sk.executionReports.instructor.unit_tests.push(Sk.ffi.remapToJs(tests));
+    });
+    
+    /**
+     * Runs a fresh copy of the students' code and then calls one of its
+     * functions, so that calls cannot affect each other (see the Sandbox in
+     * src/instructor/sandbox.py). While it runs, the given builtins
+     * are replaced, input() reads from the given inputs, printed output is
+     * captured instead of shown, and it can only run for the time limit (in
+     * seconds). Only the function call itself gets the inputs and has its
+     * output captured, not the top-level code.
+     * Returns a dictionary with the "value" returned, the "output" (as a list
+     * of lines), the "error" raised (or None), and whether it "timed_out".
+     */
+    mod.call_in_sandbox = new Sk.builtin.func(function(name, args, mocks, inputs, timeLimit) {
+        Sk.builtin.pyCheckArgs("call_in_sandbox", arguments, 5, 5);
+        Sk.builtin.pyCheckType("name", "string", Sk.builtin.checkString(name));
+        Sk.builtin.pyCheckType("args", "list", args instanceof Sk.builtin.list);
+        Sk.builtin.pyCheckType("mocks", "list", mocks instanceof Sk.builtin.list);
+        Sk.builtin.pyCheckType("inputs", "list", inputs instanceof Sk.builtin.list);
+        Sk.builtin.pyCheckType("timeLimit", "number", Sk.builtin.checkNumber(timeLimit));
+        name = Sk.ffi.remapToJs(name);
+        inputs = Sk.ffi.remapToJs(inputs);
+        var code = Sk.executionReports['verifier'].code;
+        var modname = new Sk.builtin.str("__sandbox__");
+        var none = Sk.builtin.none.none$;
+        var result = {'value': none, 'output': [], 'error': none, 'timed_out': false};
+        // Swap in the sandbox's environment
+        var saved = {'output': Sk.output, 'inputfun': Sk.inputfun,
+                     'execLimit': Sk.execLimit, 'execStart': Sk.execStart,
+                     'builtins': {}};
+        var calling = false, printed = [];
+        Sk.output = function(text) {
+            if (calling) {
+                printed.push(text);
+            }
+        };
+        Sk.inputfun = function() {
+            return calling && inputs.length ? inputs.shift() : "";
+        };
+        mocks.v.forEach(function(mock) {
+            var builtin = Sk.ffi.remapToJs(mock.v[0]);
+            if (!(builtin in saved.builtins)) {
+                saved.builtins[builtin] = Sk.builtins[builtin];
+            }
+            Sk.builtins[builtin] = mock.v[1];
+        });
+        Sk.execLimit = 1000*Sk.ffi.remapToJs(timeLimit);
+        Sk.execStart = Date.now();
+        var restore = function() {
+            Sk.output = saved.output;
+            Sk.inputfun = saved.inputfun;
+            Sk.execLimit = saved.execLimit;
+            Sk.execStart = saved.execStart;
+            for (var builtin in saved.builtins) {
+                Sk.builtins[builtin] = saved.builtins[builtin];
+            }
+        };
+        // Every call gets its own copy of the module
+        if (Sk.sysmodules.mp$lookup(modname) !== undefined) {
+            Sk.sysmodules.mp$del_subscript(modname);
+        }
+        return Sk.misceval.chain(Sk.misceval.tryCatch(function() {
+            return Sk.misceval.chain(
+                Sk.importModuleInternal_(modname.v, false, modname.v, code, undefined, false, true),
+                function(module) {
+                    var func = module.$d[name];
+                    if (func === undefined) {
+                        throw new Sk.builtin.NameError("name '"+name+"' is not defined");
+                    }
+                    calling = true;
+                    Sk.execStart = Date.now();
+                    return Sk.misceval.applyOrSuspend(func, undefined, undefined, undefined, args.v);
+                },
+                function(value) {
+                    result.value = value;
+                });
+        }, function(error) {
+            if (!(error instanceof Sk.builtin.BaseException)) {
+                restore();
+                throw error;
+            }
+            result.error = error;
+            result.timed_out = error instanceof Sk.builtin.TimeLimitError;
+        }), function() {
+            restore();
+            result.output = printed.join("").split("\n");
+            if (result.output[result.output.length-1] === "") {
+                result.output.pop();
+            }
+            return mixedRemapToPy(result);
+        });
+    });
+    
+    /**
+     * This function returns the seed that the random module was given for
+     * the students' last run, or None.
+     */
+    mod.get_random_seed = new Sk.builtin.func(function() {
+        Sk.builtin.pyCheckArgs("get_random_seed", arguments, 0, 0);
+        var seed = Sk.executionReports['student'].random_seed;
+        return seed === undefined ? Sk.builtin.none.none$ : Sk.ffi.remapToPy(seed);
+    });
+    
+    /**
+     * This function reseeds the random module, with either the given seed or
+     * the seed from the students' last run (so that run_student will give the
+     * same random numbers again).
+     */
+    mod.reseed_random = new Sk.builtin.func(function(seed) {
+        Sk.builtin.pyCheckArgs("reseed_random", arguments, 0, 1);
+        if (seed === undefined || seed === Sk.builtin.none.none$) {
+            Sk.randomSeed = Sk.executionReports['student'].random_seed;
+        } else {
+            Sk.builtin.pyCheckType("seed", "integer", Sk.builtin.checkInt(seed));
+            Sk.randomSeed = Sk.ffi.remapToJs(seed);
+        }
+        // Later imports are seeded on their own, but the module may already be loaded
+        var random = Sk.sysmodules.mp$lookup(new Sk.builtin.str('random'));
+        if (random !== undefined && Sk.randomSeed !== undefined && Sk.randomSeed !== null) {
+            Sk.misceval.callsim(random.$d.seed, Sk.ffi.remapToPy(Sk.randomSeed));
+        }
     });
     
     mod.suppress_scrolling = new Sk.builtin.func(function() {
@@ -44,6 +44,9 @@ BlockPyToolbar.prototype.activateToolbar = function() {
                     .addClass("btn-success");
         }, 20);
     });
+    this.tag.find('.blockpy-stop').click(function() {
+        main.components.engine.stop();
+    });
     this.tags.mode_set_text.click(function() {
         main.components.server.logEvent('editor', 'text')
         main.model.settings.editor("Text");
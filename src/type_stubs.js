@@ -0,0 +1,251 @@
+/**
+ * Declarative descriptions ("stubs") of the modules that students can
+ * import, shared by all of the static analyzers. Each analyzer converts a
+ * stub into its own kind of type when the module is imported, so a module
+ * only needs to be described once. Stubs can be registered at any time,
+ * including ones downloaded alongside a CORGIS dataset.
+ *
+ * A stub is a JSON object describing a module:
+ *   {"name": "stocks",
+ *    "fields": {
+ *        "get_current": {"type": "function",
+ *                        "parameters": [{"name": "ticker", "type": "str"}],
+ *                        "returns": "float"},
+ *        ...
+ *    },
+ *    "submodules": {"name": {"fields": ..., "submodules": ...}, ...}}
+ *
+ * Types are either the name of a simple type, or an object with a "type":
+ *   "int", "float", "str", "bool", "None", "file", "any"
+ *   Any other name is an opaque type (e.g., "Time" for the parking module)
+ *   {"type": "list", "of": type}
+ *   {"type": "set", "of": type}
+ *   {"type": "tuple", "of": [type, ...]}
+ *   {"type": "dict", "keys": type, "values": type}
+ *   {"type": "record", "fields": {"key": type, ...}}
+ *       A dictionary with known string keys, e.g. a CORGIS report.
+ *   {"type": "function", "parameters": [parameter, ...], "returns": type}
+ *       Each parameter is {"name": str, "type": type, "optional": bool}.
+ *       Leaving out the parameters means that they are not known.
+ *   {"type": "module", "fields": {...}, "submodules": {...}}
+ */
+var TypeStubs = {
+    /**
+     * The registered modules, as normalized stubs (where every type is an
+     * object and every optional property is filled in).
+     */
+    MODULES: {}
+};
+
+/**
+ * Registers (or replaces) the stub for a module.
+ *
+ * @param {Object|String} stub - The stub, or its JSON source.
+ * @returns {String} The name of the module.
+ * @throws Will throw an error if the stub is malformed.
+ */
+TypeStubs.register = function(stub) {
+    if (typeof stub === "string") {
+        stub = JSON.parse(stub);
+    }
+    if (typeof stub.name !== "string" || stub.name === "") {
+        throw new Error("Type stubs must have a module name.");
+    }
+    TypeStubs.MODULES[stub.name] = TypeStubs.normalize({
+        "type": "module", "fields": stub.fields, "submodules": stub.submodules
+    }, stub.name);
+    return stub.name;
+}
+
+/**
+ * Downloads a JSON file of stubs (either a single stub or a list of them)
+ * and registers them.
+ *
+ * @param {String} url - Where to find the stubs.
+ * @returns {Deferred} The request for the file.
+ */
+TypeStubs.load = function(url) {
+    return $.getJSON(url).done(function(stubs) {
+        if (!Array.isArray(stubs)) {
+            stubs = [stubs];
+        }
+        stubs.forEach(TypeStubs.register);
+    });
+}
+
+/**
+ * Checks a type from a stub, expanding it into its full form.
+ *
+ * @param {Object|String} type - The type to check.
+ * @param {String} path - Where the type is, for the error message.
+ * @returns {Object} The normalized type.
+ * @throws Will throw an error if the type is malformed.
+ */
+TypeStubs.normalize = function(type, path) {
+    if (typeof type === "string") {
+        return {"type": type};
+    }
+    if (type === null || typeof type !== "object" || typeof type.type !== "string") {
+        throw new Error("Invalid type in stub for "+path+": "+JSON.stringify(type));
+    }
+    var normalizeMap = function(map, kind) {
+        var result = {};
+        for (var name in map || {}) {
+            result[name] = TypeStubs.normalize(map[name], path+kind+name);
+        }
+        return result;
+    }
+    switch (type.type) {
+        case "list": case "set":
+            return {"type": type.type, "of": TypeStubs.normalize(type.of || "any", path+"[]")};
+        case "tuple":
+            return {"type": "tuple", "of": (type.of || []).map(function(subtype, i) {
+                return TypeStubs.normalize(subtype, path+"["+i+"]");
+            })};
+        case "dict":
+            return {"type": "dict",
+                    "keys": TypeStubs.normalize(type.keys || "any", path+"[]"),
+                    "values": TypeStubs.normalize(type.values || "any", path+"[]")};
+        case "record":
+            return {"type": "record", "fields": normalizeMap(type.fields, "[]")};
+        case "function":
+            var parameters = null;
+            if (type.parameters !== undefined) {
+                parameters = type.parameters.map(function(parameter, i) {
+                    return {"name": parameter.name || "arg"+i,
+                            "type": TypeStubs.normalize(parameter.type || "any", path+"("+i+")"),
+                            "optional": !!parameter.optional};
+                });
+            }
+            return {"type": "function", "parameters": parameters,
+                    "returns": TypeStubs.normalize(type.returns || "any", path+"()")};
+        case "module":
+            var submodules = {};
+            for (var name in type.submodules || {}) {
+                var submodule = type.submodules[name];
+                submodules[name] = TypeStubs.normalize({"type": "module",
+                                                        "fields": submodule.fields,
+                                                        "submodules": submodule.submodules},
+                                                       path+"."+name);
+            }
+            return {"type": "module", "fields": normalizeMap(type.fields, "."),
+                    "submodules": submodules};
+        default:
+            return {"type": type.type};
+    }
+}
+
+/**
+ * The modules that come with BlockPy.
+ */
+TypeStubs.BUILTIN_MODULES = [
+    {"name": "matplotlib",
+     "submodules": {
+        "pyplot": {"fields": {
+            "plot": {"type": "function", "returns": "None"},
+            "hist": {"type": "function", "returns": "None"},
+            "scatter": {"type": "function", "returns": "None"},
+            "show": {"type": "function", "returns": "None"},
+            "xlabel": {"type": "function", "returns": "None"},
+            "ylabel": {"type": "function", "returns": "None"},
+            "title": {"type": "function", "returns": "None"}
+        }}
+    }},
+    {"name": "pprint", "fields": {
+        "pprint": {"type": "function", "returns": "None"}
+    }},
+    {"name": "random", "fields": {
+        "randint": {"type": "function",
+                    "parameters": [{"name": "a", "type": "int"}, {"name": "b", "type": "int"}],
+                    "returns": "int"},
+        "choice": {"type": "function", "returns": "any"},
+        "shuffle": {"type": "function", "returns": "None"}
+    }},
+    {"name": "turtle", "fields": {
+        "forward": {"type": "function", "returns": "None"},
+        "backward": {"type": "function", "returns": "None"},
+        "color": {"type": "function", "returns": "None"},
+        "right": {"type": "function", "returns": "None"},
+        "left": {"type": "function", "returns": "None"}
+    }},
+    {"name": "parking", "fields": {
+        "Time": {"type": "function", "returns": "Time"},
+        "now": {"type": "function", "returns": "Time"},
+        "Day": {"type": "function", "returns": "Date"},
+        "today": {"type": "function", "returns": "Date"}
+    }},
+    {"name": "math", "fields": (function() {
+        var fields = {"pi": "float", "e": "float", "tau": "float",
+                      "inf": "float", "nan": "float"};
+        ["ceil", "copysign", "fabs", "factorial", "floor", "fmod", "frexp",
+         "fsum", "gcd", "ldexp", "modf", "trunc", "exp", "expm1", "log",
+         "log1p", "log2", "log10", "pow", "sqrt", "acos", "sin", "cos", "tan",
+         "asin", "atan", "atan2", "hypot", "degrees", "radians", "sinh",
+         "cosh", "tanh", "asinh", "acosh", "atanh", "erf", "erfc", "gamma",
+         "lgamma"].forEach(function(name) {
+            fields[name] = {"type": "function", "returns": "float"};
+        });
+        ["isclose", "isfinite", "isinf", "isnan"].forEach(function(name) {
+            fields[name] = {"type": "function", "returns": "bool"};
+        });
+        return fields;
+    })()},
+    {"name": "weather", "fields": {
+        "get_temperature": {"type": "function", "returns": "float"},
+        "get_forecasts": {"type": "function", "returns": {"type": "list", "of": "float"}},
+        "get_report": {"type": "function", "returns": {"type": "record", "fields": {
+            "temperature": "float", "humidity": "float", "wind": "float"
+        }}},
+        "get_forecasted_reports": {"type": "function", "returns": {"type": "list", "of":
+            {"type": "record", "fields": {"temperature": "float", "humidity": "float", "wind": "float"}}
+        }},
+        "get_all_forecasted_temperatures": {"type": "function", "returns": {"type": "list", "of":
+            {"type": "record", "fields": {"city": "str", "forecasts": {"type": "list", "of": "int"}}}
+        }},
+        "get_highs_lows": {"type": "function", "returns": {"type": "record", "fields": {
+            "highs": {"type": "list", "of": "float"}, "lows": {"type": "list", "of": "float"}
+        }}}
+    }},
+    {"name": "image", "fields": {}},
+    {"name": "stocks", "fields": {
+        "get_current": {"type": "function",
+                        "parameters": [{"name": "ticker", "type": "str"}],
+                        "returns": "float"},
+        "get_past": {"type": "function",
+                     "parameters": [{"name": "ticker", "type": "str"}],
+                     "returns": {"type": "list", "of": "float"}}
+    }},
+    {"name": "earthquakes", "fields": {
+        "get": {"type": "function", "returns": {"type": "list", "of": "float"}},
+        "get_both": {"type": "function", "returns": {"type": "list", "of":
+            {"type": "record", "fields": {"magnitude": "float", "depth": "float"}}
+        }},
+        "get_all": {"type": "function", "returns": {"type": "list", "of":
+            {"type": "record", "fields": {
+                "magnitude": "float", "distance": "float", "gap": "int",
+                "id": "str", "significance": "int", "time": "int",
+                "location": {"type": "record", "fields": {
+                    "depth": "float", "latitude": "float", "longitude": "float",
+                    "location_description": "str"
+                }}
+            }}
+        }}
+    }},
+    {"name": "crime", "fields": {
+        "get_property_crimes": {"type": "function", "returns": {"type": "list", "of": "float"}},
+        "get_violent_crimes": {"type": "function", "returns": {"type": "list", "of": "float"}},
+        "get_both_crimes": {"type": "function", "returns": {"type": "list", "of": "float"}},
+        "get_by_year": {"type": "function", "returns": {"type": "list", "of":
+            {"type": "record", "fields": {"state": "str", "violent": "float",
+                                          "property": "float", "population": "int"}}
+        }},
+        "get_all": {"type": "function", "returns": "any"}
+    }},
+    {"name": "books", "fields": {
+        "get_all": {"type": "function", "returns": {"type": "list", "of":
+            {"type": "record", "fields": {"title": "str", "author": "str", "price": "float",
+                                          "paperback": "bool", "page count": "int"}}
+        }}
+    }}
+];
+TypeStubs.BUILTIN_MODULES.forEach(TypeStubs.register);